@@ -19,41 +19,174 @@
  * kstats -- simple stats logger and statsd uploader
  * gathers and uploads application stats to StackDriver
  *
- * This logger knows only about sample values, not averages or counters or gauges.
- * It accepts and saves samples to persistent store, and uploads them.
+ * This logger records sample values, optionally typed as counters, gauges, timings
+ * or sets.  It accepts and saves samples to persistent store, and uploads them.
  * Aggregation and interpretation of the samples is up to the target backend.
  *
  * Features:
  *   - stats are written to external (durable) journal
  *   - journal contents are uploaded in batches
  *   - stackdriver backend upload supported
- *
- * Todo:
- *   - statsd backend tbd
+ *   - google cloud monitoring (v3) backend upload supported
+ *   - statsd (and DogStatsD) udp backend upload supported
+ *   - influxdb http and graphite tcp backend upload supported
+ *   - `kstats` command-line tool to validate, summarize, convert and upload journals
+ *   - cluster workers can journal through the master, uploads are locked per journal
+ *   - instance metadata lookup on AWS, GCE, Azure and Kubernetes
  */
 
 'use strict'
 
 var os = require('os');
 var fs = require('fs');
+var path = require('path');
 var https = require('https');
 var http = require('http');
+var dgram = require('dgram');
 var child_process = require('child_process');
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
 var QFputs = require('qfputs');
+var Aggregator = require('./lib/aggregator.js');
+var LogHistogram = require('./lib/histogram.js');
+var PrometheusRegistry = require('./lib/prometheus.js');
+var Collectors = require('./lib/collectors.js');
+var CloudMonitoring = require('./lib/cloudmonitoring.js');
+var GraphiteClient = require('./lib/graphite.js');
+var Frames = require('./lib/frames.js');
+var CommitLog = require('./lib/commitlog.js');
+var LockFile = require('./lib/lockfile.js');
+var WorkerJournal = require('./lib/workerjournal.js');
+var Metadata = require('./lib/metadata.js');
+var request = require('./lib/request.js');
+var fromBuf = require('./lib/buffers.js').fromBuf;
+var allocBuf = require('./lib/buffers.js').allocBuf;
 
 function KStats( config ) {
     config = config || {};
+    EventEmitter.call(this);
 
     this.pid = process.pid;
     this.hostname = config.hostname || config.host || hostname_s();
     this.prefix = config.prefix || this.hostname + '.';
     this.journal = config.journal || process.stdout;
+    // journal the stats as 'plain' text lines, or as checksummed 'framed' records
+    this.journalFormat = config.journalFormat || 'plain';
+    if (this.journalFormat !== 'plain' && this.journalFormat !== 'framed') throw new Error(this.journalFormat + ": unknown journalFormat");
     // instance-id, if metrics are tied to an instance
     // retrieve on AWS with "curl http://169.254.169.254/latest/meta-data/instance-id"
     // or 'ec2metadata | grep instanceId'
     this.instance = config.instance || undefined;
     this.backendConfig = config.backendConfig;
     this.rejectedJournalLines = null;
+    this.rejectionRecords = null;
+    this._rejectionCounts = {};
+    for (var i=0; i<rejectReasons.length; i++) this._rejectionCounts[rejectReasons[i]] = 0;
+    // tags added to every stat, eg { region: 'us-east-1', service: 'api' }
+    this.tags = config.tags || null;
+    // upload retry policy {initialDelay, maxDelay, jitter, maxAttempts}, default retry every time
+    this.retry = config.retry || null;
+    this._uploadAttempts = {};
+    // directory to save the batches that could not be uploaded, default none
+    this.deadLetterDir = config.deadLetterDir || null;
+    // upload the journal in batches of at most {maxLines, maxBytes}, default 1 MB
+    this.uploadBatch = config.uploadBatch || {};
+    // capture the journal into numbered segments {maxSegments, maxBytes, policy}, default a single .up file
+    this.segments = config.segments ? (config.segments === true ? {} : config.segments) : null;
+    if (this.segments && this.segments.policy && segmentPolicies.indexOf(this.segments.policy) < 0) throw new Error(this.segments.policy + ": unknown segments policy");
+    // remember the batches delivered in a <journal>.committed log {maxEntries}, to not resend them, default off
+    this.commitLog = config.commitLog ? (config.commitLog === true ? {} : config.commitLog) : null;
+    this._commitLogs = {};
+    // lock the journal upload with a <journal>.lock file {staleAfter}, for journals shared by processes, default off
+    this.uploadLock = config.uploadLock ? (config.uploadLock === true ? {} : config.uploadLock) : null;
+    this._uploadLocks = {};
+    // the summary time buckets carried into the next batch of the captured file, by backend and file
+    this._summaryCarries = {};
+    // the current metric values for prometheus to scrape, if enabled
+    this.prometheus = config.prometheus ? new PrometheusRegistry(config.prometheus === true ? {} : config.prometheus) : null;
+    // journal only a random fraction of the stats matching the {match, rate} rules, default all
+    this.sampleRates = (config.sampleRates || []).map(_compileSampleRule);
+    // journal at most this many stats lines per second, drop the rest, default no limit
+    this.maxLinesPerSecond = config.maxLinesPerSecond || 0;
+    this._rateLimitSecond = 0;
+    this._rateLimitLines = 0;
+    this._droppedCount = 0;
+    // the running upload loops {filename, uploadFunc, stop}, for shutdown to stop and flush
+    this._uploadLoops = [];
+
+    var self = this;
+
+    // optionally combine the stats in-process and journal only the per-window totals
+    this.aggregator = null;
+    this._aggregateTimer = null;
+    if (config.aggregate) {
+        this.aggregator = new Aggregator(config.aggregate === true ? {} : config.aggregate);
+        this._aggregateTimer = setInterval(function() { self.flushAggregates() }, this.aggregator.interval);
+        if (this._aggregateTimer.unref) this._aggregateTimer.unref();
+    }
+
+    // optionally sample process and os stats every collectors interval
+    this._collectors = null;
+    this._collectTimer = null;
+    if (config.collectors) {
+        this._collectors = new Collectors(config.collectors === true ? {} : config.collectors);
+        this._collectTimer = setInterval(function() { self.collectStats() }, this._collectors.interval);
+        if (this._collectTimer.unref) this._collectTimer.unref();
+    }
+
+    // optionally look up the instance id and location, and tag the stats with them
+    // The stats logged before the metadata is known are not tagged.
+    this.metadata = null;
+    if (config.metadata) {
+        var metadataOptions = config.metadata === true ? {} : config.metadata;
+        this.resolveMetadata(metadataOptions, function(err, metadata) {
+            if (err) return;
+            self.metadata = metadata;
+            if (!self.instance && metadata.instanceId) self.setInstanceId(metadata.instanceId);
+            if (metadataOptions.tags !== false) self.tags = _mergeTags(_metadataTags(metadata), self.tags);
+            self.emit('metadata', metadata);
+        });
+    }
+
+    // optionally track the health of the stats pipeline, and journal it as kstats.* metrics
+    this._selfStats = null;
+    this._selfStatsTimer = null;
+    if (config.selfStats) {
+        var selfStatsInterval = (config.selfStats === true ? {} : config.selfStats).interval || 60000;
+        this._selfStats = _newSelfStats(null, this._rejectionCounts);
+        this._selfStatsTimer = setInterval(function() { self.logSelfStats() }, selfStatsInterval);
+        if (this._selfStatsTimer.unref) this._selfStatsTimer.unref();
+    }
+}
+
+// the {file, lineNumber, backend, rejections} context of the lines parsed for the backend
+function _newRejectContext( backendName, batchInfo ) {
+    batchInfo = batchInfo || {};
+    return {
+        file: batchInfo.file,
+        lineNumber: batchInfo.file ? batchInfo.lineNumber : 1,
+        backend: backendName,
+        rejections: [],
+        batchInfo: batchInfo,
+        summaryCarry: null,
+    };
+}
+
+// the pipeline health counters since the last logSelfStats
+// The rejection counts are those at the start of the period, to report the difference.
+function _newSelfStats( journalFileName, rejectionCounts ) {
+    var counts = {};
+    for (var reason in rejectionCounts) counts[reason] = rejectionCounts[reason];
+    return {
+        linesWritten: 0,
+        dropped: 0,
+        uploads: 0,
+        uploadFailures: 0,
+        uploadBytes: 0,
+        uploadLatencies: [],
+        rejectionCounts: counts,
+        journalFileName: journalFileName,
+    };
 }
 
 function hostname_s( ) {
@@ -62,6 +195,380 @@ function hostname_s( ) {
     return hostname;
 }
 
+// the reasons a journal line is rejected
+var rejectReasons = [
+    'BAD_FIELDS',               // malformed line
+    'BAD_TIMESTAMP',            // unparseable timestamp
+    'STALE',                    // older than the backend maxAge
+    'FUTURE',                   // further in the future than the backend maxFutureSkew
+    'NOT_NUMERIC',              // value the backend can not store
+    'BACKEND_REFUSED',          // refused by the backend on upload
+    'CORRUPT',                  // framed record failed its length or checksum test
+    'TRUNCATED',                // incomplete last line or record, torn by a crash mid-write
+];
+
+// the journal codes of the typed stats, as used by statsd
+var metricTypes = {
+    c: 'counter',
+    g: 'gauge',
+    ms: 'timing',
+    s: 'set',
+};
+
+// parse the journal line "timestamp name value [|type] [@rate] [#tags]" into a sample
+// Returns null if the line is malformed.
+function _parseJournalLine( line ) {
+    var fields = line.split(' ');
+    if (fields.length < 3 || !fields[0] || !fields[1] || !fields[2]) return null;
+
+    var sample = { name: fields[1], value: fields[2], timestamp: fields[0], type: undefined, tags: undefined, line: line };
+    for (var i=3; i<fields.length; i++) {
+        var annotation = fields[i];
+        if (annotation[0] === '|' && !sample.type && metricTypes.hasOwnProperty(annotation.slice(1))) sample.type = annotation.slice(1);
+        else if (annotation[0] === '@' && !sample.rate) {
+            sample.rate = _validSampleRate(parseFloat(annotation.slice(1)));
+            if (!sample.rate) return null;
+        }
+        else if (annotation[0] === '#' && !sample.tags) {
+            sample.tags = _parseJournalTags(annotation);
+            if (!sample.tags) return null;
+        }
+        else return null;
+    }
+
+    // set members can be any string, all other stats must be numeric
+    if (sample.type === 's') {
+        // members journaled before they were escaped may not decode, keep them as-is
+        try { sample.value = decodeURIComponent(sample.value) } catch (err) { }
+    }
+    else {
+        sample.value = parseFloat(sample.value);
+        if (!(sample.value > -Infinity && sample.value < Infinity)) return null;
+    }
+    return sample;
+}
+
+// the sample time limits {maxAge, maxFutureSkew, staleAction} of the backendConfig,
+// else the backend defaults
+function _timePolicy( backendConfig, defaults ) {
+    backendConfig = backendConfig || {};
+    var policy = {
+        maxAge: backendConfig.maxAge !== undefined ? backendConfig.maxAge : defaults.maxAge,
+        maxFutureSkew: backendConfig.maxFutureSkew !== undefined ? backendConfig.maxFutureSkew : defaults.maxFutureSkew,
+        staleAction: backendConfig.staleAction || defaults.staleAction || 'reject',
+    };
+    if (staleActions.indexOf(policy.staleAction) < 0) throw new Error(policy.staleAction + ": unknown staleAction");
+    return policy;
+}
+var staleActions = ['reject', 'clamp', 'rebucket'];
+var segmentPolicies = ['dropOldest', 'refuseNew'];
+
+// test whether the line is well-formed except for its value not being numeric
+function _isNotNumeric( line ) {
+    var fields = line.split(' ');
+    if (fields.length < 3) return false;
+    fields[2] = '0';
+    return _parseJournalLine(fields.join(' ')) !== null;
+}
+
+// encode the tags as the journal annotation "#name=value,name2=value2"
+// Names and values are %-escaped like encodeURIComponent, so may contain any character.
+function _formatJournalTags( tags ) {
+    var parts = [];
+    for (var name in tags) {
+        if (tags[name] !== undefined) parts.push(_escapeTag(name) + '=' + _escapeTag(tags[name]));
+    }
+    return parts.length ? '#' + parts.join(',') : '';
+}
+
+function _escapeTag( str ) {
+    return String(str).replace(/[%\s,=#|]/g, encodeURIComponent);
+}
+
+// decode the "#name=value,..." journal annotation, or return null if malformed
+function _parseJournalTags( annotation ) {
+    var parts = annotation.slice(1).split(',');
+    var tags = {};
+    try {
+        for (var i=0; i<parts.length; i++) {
+            var pair = parts[i].split('=');
+            if (pair.length !== 2 || !pair[0]) return null;
+            tags[decodeURIComponent(pair[0])] = decodeURIComponent(pair[1]);
+        }
+    }
+    catch (err) { return null }
+    return tags;
+}
+
+// return the tags overlaid with the overrides
+function _mergeTags( tags, overrides ) {
+    if (!tags || !overrides) return tags || overrides;
+    var merged = {}, name;
+    for (name in tags) merged[name] = tags[name];
+    for (name in overrides) merged[name] = overrides[name];
+    return merged;
+}
+
+// the {region, zone, pod, namespace} tags of the known instance metadata
+function _metadataTags( metadata ) {
+    var tags = {}, found = false;
+    var fields = { region: 'region', zone: 'zone', pod: 'podName', namespace: 'namespace' };
+    for (var name in fields) {
+        if (metadata[fields[name]]) { tags[name] = metadata[fields[name]]; found = true }
+    }
+    return found ? tags : null;
+}
+
+// normalize the summaries rule, converting "*" wildcard name patterns to regexes
+function _compileSummaryRule( rule ) {
+    return {
+        match: _compileNamePattern(rule.match),
+        percentiles: rule.percentiles || [50, 90, 99],
+        bucketWidth: rule.bucketWidth || 60,
+        relativeAccuracy: rule.relativeAccuracy || 0.01,
+    };
+}
+
+function _findSummaryRule( rules, name ) {
+    for (var i=0; i<rules.length; i++) if (rules[i].match.test(name)) return rules[i];
+    return null;
+}
+
+// convert the RegExp or string name pattern with `*` wildcards into a RegExp, default match all
+function _compileNamePattern( match ) {
+    match = match || '*';
+    if (match instanceof RegExp) return match;
+    return new RegExp('^' + String(match).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*]/g, '.*') + '$');
+}
+
+function _compileSampleRule( rule ) {
+    return {
+        match: _compileNamePattern(rule.match),
+        rate: _validSampleRate(rule.rate),
+    };
+}
+
+// the sample rate if it is a fraction 0 < rate < 1, else 0 for not sampled
+function _validSampleRate( rate ) {
+    return (rate > 0 && rate < 1) ? rate : 0;
+}
+
+// the value of the sample scaled back up by its sample rate, for backends that do not understand rates
+// Only counters are scaled, the other stats are not additive.
+function _unsampledValue( sample ) {
+    return (sample.type === 'c' && sample.rate) ? sample.value / sample.rate : sample.value;
+}
+
+// format the tags as a DogStatsD |#tag suffix
+// Tags can be an array of "name:value" strings or a hash of name:value pairs.
+// The sample tags, if any, are appended to the configured tags.
+function _formatDogstatsdTags( tags, sampleTags ) {
+    var list = [], k;
+    if (Array.isArray(tags)) list = list.concat(tags);
+    else for (k in tags) list.push(tags[k] === true ? k : k + ':' + tags[k]);
+    for (k in sampleTags) list.push(k + ':' + sampleTags[k]);
+    for (var i=0; i<list.length; i++) list[i] = String(list[i]).replace(/[\s|@,]/g, '_');
+    return list.length ? '|#' + list.join(',') : '';
+}
+
+// format the tags as influx line protocol ",name=value" pairs, sorted by name as recommended
+// Influx does not accept empty tag values, those are omitted.
+function _formatInfluxTags( tags ) {
+    var names = Object.keys(tags || {}).sort();
+    var str = '';
+    for (var i=0; i<names.length; i++) {
+        if (tags[names[i]] === '' || tags[names[i]] === null || tags[names[i]] === undefined) continue;
+        str += ',' + _escapeInflux(names[i]) + '=' + _escapeInflux(tags[names[i]]);
+    }
+    return str;
+}
+function _escapeInflux( str ) {
+    return String(str).replace(/[,= \\]/g, '\\$&');
+}
+
+// format the tags as graphite ";name=value" tags, which may not contain ';' '=' '~' '!' '^' or spaces
+function _formatGraphiteTags( tags ) {
+    var str = '';
+    for (var k in tags) {
+        if (tags[k] === '' || tags[k] === null || tags[k] === undefined) continue;
+        str += ';' + String(k).replace(/[;=~!^\s]/g, '_') + '=' + String(tags[k]).replace(/[;~\s]/g, '_');
+    }
+    return str;
+}
+
+// group the lines into newline-separated packets of at most maxBytes bytes
+// A single line longer than maxBytes is sent in a packet by itself.
+function _packLines( lines, maxBytes ) {
+    var packets = [];
+    var packet = '';
+    for (var i=0; i<lines.length; i++) {
+        if (packet && Buffer.byteLength(packet) + 1 + Buffer.byteLength(lines[i]) > maxBytes) {
+            packets.push(packet);
+            packet = '';
+        }
+        packet = packet ? packet + "\n" + lines[i] : lines[i];
+    }
+    if (packet) packets.push(packet);
+    return packets;
+}
+
+var _deadLetterSeq = 0;
+
+// read the next batch of whole lines from the file, at most limits.maxLines lines
+// and limits.maxBytes bytes.  The last line in the file need not be newline terminated.
+// A single line longer than maxBytes is returned as a batch by itself.
+function _readBatch( fd, offset, fileSize, limits, cb ) {
+    (function readBytes( length ) {
+        length = Math.min(length, fileSize - offset);
+        var buf = allocBuf(length);
+        fs.read(fd, buf, 0, length, offset, function(err, nread) {
+            if (err) return cb(err);
+            buf = buf.slice(0, nread);
+            var atEof = (offset + nread >= fileSize) || nread < length;
+            // an overlong line is sent by itself, without any of the lines after it
+            var end = _batchEnd(buf, length > limits.maxBytes ? 1 : limits.maxLines, atEof);
+            if (end > 0) return cb(null, buf.slice(0, end));
+            readBytes(2 * length);
+        });
+    })(limits.maxBytes);
+}
+
+// the stable id of the batch read from the captured file at offset
+// The same batch gets the same id when resent after a restart.
+function _batchId( capturedFileName, offset, batch ) {
+    return crypto.createHash('sha1').update(path.basename(capturedFileName) + ':' + offset + ':').update(batch).digest('hex').slice(0, 24);
+}
+
+// find the end of the last whole line in the buffer, or of the maxLines-th line
+function _batchEnd( buf, maxLines, atEof ) {
+    var lineCount = 0, end = 0;
+    for (var i=0; i<buf.length; i++) {
+        if (buf[i] === 10) {
+            end = i + 1;
+            if (++lineCount >= maxLines) return end;
+        }
+    }
+    return atEof ? buf.length : end;
+}
+
+// call back with the checkpoint object saved in the file, or {} if none
+function _readCheckpointFile( checkpointFileName, cb ) {
+    fs.readFile(checkpointFileName, function(err, contents) {
+        var checkpoint;
+        try { checkpoint = err ? {} : JSON.parse(contents) }
+        catch (e) { checkpoint = {} }
+        cb(null, checkpoint || {});
+    });
+}
+
+// call back with the upload offset saved in the checkpoint file, or 0 if none
+// The checkpoint is only valid for the file it was made for (same inode).
+function _readCheckpoint( checkpointFileName, ino, cb ) {
+    _readCheckpointFile(checkpointFileName, function(err, checkpoint) {
+        cb(null, (ino === undefined || checkpoint.ino === ino) && checkpoint.offset > 0 ? checkpoint.offset : 0);
+    });
+}
+
+// call back with the upload offset and the count of lines before it of each destination
+// from the checkpoint, or 0 if the checkpoint is not for this file
+// The single unnamed destination '' uses the plain `offset` and `lines` checkpoint.
+// The line count is undefined if it was not checkpointed.
+function _readCheckpointOffsets( checkpointFileName, ino, destinations, cb ) {
+    _readCheckpointFile(checkpointFileName, function(err, checkpoint) {
+        var offset, lines, result = { offsets: {}, lines: {} };
+        for (var i=0; i<destinations.length; i++) {
+            if (destinations[i] === '') { offset = checkpoint.offset; lines = checkpoint.lines }
+            else { offset = checkpoint.offsets && checkpoint.offsets[destinations[i]]; lines = checkpoint.lines && checkpoint.lines[destinations[i]] }
+            if (!(checkpoint.ino === ino && offset > 0)) { offset = 0; lines = 0 }
+            result.offsets[destinations[i]] = offset;
+            result.lines[destinations[i]] = lines >= 0 ? lines : undefined;
+        }
+        cb(null, result);
+    });
+}
+
+// count the newline-terminated lines in the buffer
+function _countLines( buf ) {
+    var count = 0;
+    for (var i=0; i<buf.length; i++) if (buf[i] === 10) count += 1;
+    return count;
+}
+
+// return the segment number n of the basename.up.<n> file, or -1 if not a segment
+function _segmentNumber( basename, filename ) {
+    var prefix = basename + ".up.";
+    if (filename.indexOf(prefix) !== 0 || !/^[0-9]+$/.test(filename.slice(prefix.length))) return -1;
+    return parseInt(filename.slice(prefix.length), 10);
+}
+
+// the _uploadAttempts key of the captured file, per destination if several
+function _attemptsKey( capturedFileName, destination ) {
+    return destination ? capturedFileName + '|' + destination : capturedFileName;
+}
+
+// call back with whether the file exists
+function _fileExists( filename, cb ) {
+    fs.stat(filename, function(err) { cb(null, !err) });
+}
+
+// create the directory if it does not exist
+function _mkdir( dirname, cb ) {
+    fs.mkdir(dirname, function(err) {
+        cb(err && err.code !== 'EEXIST' ? err : null);
+    });
+}
+
+// move the file across filesystems
+function _moveFile( fromName, toName, cb ) {
+    _copyFile(fromName, toName, 0, function(err) {
+        if (err) return cb(err);
+        fs.unlink(fromName, cb);
+    });
+}
+
+// copy the file from the byte offset on, streamed to not hold large files in memory
+function _copyFile( fromName, toName, offset, cb ) {
+    var returned = false;
+    function returnOnce( err ) {
+        if (returned) return;
+        returned = true;
+        cb(err || null);
+    }
+    var reader = fs.createReadStream(fromName, { start: offset });
+    var writer = fs.createWriteStream(toName);
+    reader.on('error', function(err) { writer.destroy(); returnOnce(err) });
+    writer.on('error', function(err) { reader.destroy(); returnOnce(err) });
+    writer.on('close', function() { returnOnce() });
+    reader.pipe(writer);
+}
+
+// call fn(cb), or if no callback was given and promises are available, return a promise of its result
+function _callbackOrPromise( cb, fn ) {
+    if (typeof cb === 'function' || typeof Promise !== 'function') return fn(cb);
+    return new Promise(function(resolve, reject) {
+        fn(function(err, result) { err ? reject(err) : resolve(result) });
+    });
+}
+
+// call the upload function, which may either call back or return a promise
+// The callback is called only once, whichever way the function completes.
+function _callUploadFunction( uploadFunc, contents, cb, batchInfo ) {
+    var called = false;
+    function callbackOnce( err, response ) {
+        if (called) return;
+        called = true;
+        cb(err, response);
+    }
+    var ret = uploadFunc(contents, callbackOnce, batchInfo);
+    if (ret && typeof ret.then === 'function') {
+        ret.then(function(response) { callbackOnce(null, response) }, function(err) { callbackOnce(err || new Error("upload promise rejected")) });
+    }
+}
+
+var ec2metadataCmdline = 'ec2metadata | grep instance-id';
+
+function _noop( ) {}
+
 function _tryExecSync( cmdline ) {
     try {
         return child_process.execSync(cmdline);
@@ -74,7 +581,7 @@ function _tryExecSync( cmdline ) {
 
 KStats.prototype = {
 
-    // set the AWS instance-id retrieved with this.lookUpInstanceId()
+    // set the instance-id retrieved with this.lookUpInstanceId() or this.resolveMetadata()
     setInstanceId: function setInstanceId( instanceId ) {
         this.instance = instanceId;
         return this;
@@ -89,20 +596,64 @@ KStats.prototype = {
         return currentArray;
     },
 
+    // get/set the array to hold the {line, file, lineNumber, reason, backend} records of the rejected lines
+    rejections: function rejections( newSaveToArray ) {
+        if (newSaveToArray === undefined) newSaveToArray = [];
+        var currentArray = this.rejectionRecords;
+        if (Array.isArray(newSaveToArray)) this.rejectionRecords = newSaveToArray;
+        return currentArray;
+    },
+
+    // return the count of rejected lines by reason
+    rejectionCounts: function rejectionCounts( ) {
+        var counts = {};
+        for (var reason in this._rejectionCounts) counts[reason] = this._rejectionCounts[reason];
+        return counts;
+    },
+
+    // reject a journal line the backend parse method can not use, recorded like the built-in backends do
+    // The lineNumber, if not given, is found in the contents being parsed.
+    rejectLine: function rejectLine( line, reason, lineNumber ) {
+        var context = this._rejectContext;
+        if (lineNumber === undefined && context && context.contents !== undefined && context.lineNumber > 0) {
+            var index = context.contents.split("\n").indexOf(line);
+            if (index >= 0) lineNumber = context.lineNumber + index;
+        }
+        this._rejectLine(line, reason || 'BAD_FIELDS', lineNumber);
+    },
+
+    // record the rejected line:  save it to the rejected lines store, its record to the
+    // rejections store and the upload context, count it, and emit a 'rejection' event
+    // The context is the {file, backend, rejections} being uploaded, if any.
+    _rejectLine: function _rejectLine( line, reason, lineNumber, context ) {
+        context = context || this._rejectContext || {};
+        var record = { line: line, file: context.file, lineNumber: lineNumber, reason: reason, backend: context.backend };
+
+        this._rejectionCounts[reason] = (this._rejectionCounts[reason] || 0) + 1;
+        if (this.rejectedJournalLines) this.rejectedJournalLines.push(line);
+        if (this.rejectionRecords) this.rejectionRecords.push(record);
+        if (context.rejections) context.rejections.push(record);
+        this.emit('rejection', record);
+    },
+
     // convert the timestamp into seconds since the epoch
     // time can be anything understood by new Date(), including a datetime string
+    // Returns NaN if the time is not a valid timestamp, or not in the 32-bit unix seconds range.
     unixTimestamp: function unixTimestamp( timestamp ) {
+        var seconds;
         if (typeof timestamp == 'number') {                     // javascript ms timestamp
-            return (timestamp / 1000) >>> 0;
+            seconds = timestamp / 1000;
         }
-        else if (timestamp && timestamp.match(/^[0-9]+$/)) {
-            if (timestamp.length == 10) return timestamp >>> 0; // 10-digit unix sec since epoch
-            else return (timestamp / 1000) >>> 0;               // 13-digit js ms since epoch
+        else if (timestamp && timestamp.match && timestamp.match(/^[0-9]+$/)) {
+            if (timestamp.length == 10) seconds = +timestamp;   // 10-digit unix sec since epoch
+            else if (timestamp.length == 13) seconds = timestamp / 1000;    // 13-digit js ms since epoch
+            else return NaN;
         }
         else if (timestamp != undefined) {
-            return (new Date(timestamp) / 1000) >>> 0;          // string or Date timestamp
+            seconds = new Date(timestamp).getTime() / 1000;     // string or Date timestamp
         }
-        else return (Date.now() / 1000) >>> 0;
+        else seconds = Date.now() / 1000;
+        return (seconds >= 0 && seconds <= 0xFFFFFFFF) ? seconds >>> 0 : NaN;
     },
 
     // generate a human-readable timestamp for journaling stats
@@ -117,108 +668,653 @@ KStats.prototype = {
 
     // record a stat in the journal for batched upload later
     // stats are written to a journal to not be lost in case of a crash
-    logStat: function logStat( name, value, timestampString ) {
+    // The third argument is either the timestamp string or an options object {timestamp, tags}.
+    logStat: function logStat( name, value, timestampOrOptions ) {
+        this._logTypedStat(name, value, null, timestampOrOptions);
+    },
+
+    // record a counter increment, default 1.  Counts are summed by the backend.
+    logCounter: function logCounter( name, count, timestampOrOptions ) {
+        this._logTypedStat(name, count === undefined ? 1 : count, 'c', timestampOrOptions);
+    },
+
+    // record a gauge reading.  The backend keeps the most recent value.
+    logGauge: function logGauge( name, value, timestampOrOptions ) {
+        this._logTypedStat(name, value, 'g', timestampOrOptions);
+    },
+
+    // record a duration in milliseconds
+    logTiming: function logTiming( name, ms, timestampOrOptions ) {
+        this._logTypedStat(name, ms, 'ms', timestampOrOptions);
+    },
+
+    // record a set member.  The backend counts the distinct values seen.
+    logSet: function logSet( name, value, timestampOrOptions ) {
+        this._logTypedStat(name, value, 's', timestampOrOptions);
+    },
+
+    // journal the stat, or if aggregating add it to the current window
+    // Stats with an explicit timestamp are journaled as-is, they are not part of the window.
+    // Sampled stats are kept at random with probability rate, and journaled with their rate.
+    _logTypedStat: function _logTypedStat( name, value, type, timestampOrOptions ) {
+        var timestampString = timestampOrOptions, tags = null, rate;
+        if (timestampOrOptions && typeof timestampOrOptions === 'object') {
+            timestampString = timestampOrOptions.timestamp;
+            tags = timestampOrOptions.tags;
+            rate = timestampOrOptions.sampleRate;
+        }
+        rate = (rate !== undefined) ? _validSampleRate(rate) : this._findSampleRate(name);
+        if (rate && Math.random() >= rate) return;
+
+        tags = _mergeTags(this.tags, tags);
+        var tagString = _formatJournalTags(tags);
+
+        // stats kept in-process are scaled back up to the unsampled totals, a sampled value stands for 1/rate values
+        if (this.prometheus) this.prometheus.record(this.prefix + name, value, type, tags, rate ? 1 / rate : 1);
+        if (this.aggregator && timestampString === undefined && this.aggregator.add(name, value, type, tagString, rate ? 1 / rate : 1)) return;
+        if (this.maxLinesPerSecond && !this._underLineRateLimit()) {
+            this._droppedCount += 1;
+            if (this._selfStats) this._selfStats.dropped += 1;
+            return;
+        }
+        this._writeStat(name, value, type, timestampString, tagString, rate);
+    },
+
+    // the sample rate of the first sampleRates rule matching the name, else 0 for not sampled
+    _findSampleRate: function _findSampleRate( name ) {
+        for (var i=0; i<this.sampleRates.length; i++) if (this.sampleRates[i].match.test(name)) return this.sampleRates[i].rate;
+        return 0;
+    },
+
+    // count the line against the lines allowed this second, return false if over the limit
+    _underLineRateLimit: function _underLineRateLimit( ) {
+        var second = (Date.now() / 1000) >>> 0;
+        if (second !== this._rateLimitSecond) {
+            this._rateLimitSecond = second;
+            this._rateLimitLines = 0;
+        }
+        if (this._rateLimitLines >= this.maxLinesPerSecond) return false;
+        this._rateLimitLines += 1;
+        return true;
+    },
+
+    // return the count of stats dropped for being over the maxLinesPerSecond limit
+    droppedCount: function droppedCount( ) {
+        return this._droppedCount;
+    },
+
+    // write the journal line "timestamp name value [|type] [@rate] [#tags]"
+    // Set members are %-escaped like tags, so may contain any character.
+    _writeStat: function _writeStat( name, value, type, timestampString, tagString, rate ) {
         if (timestampString === undefined) timestampString = this.makeTimestamp();
-        var line = timestampString + " " + this.prefix + name + " " + value + "\n";
+        if (type === 's') value = _escapeTag(value);
+        var line = timestampString + " " + this.prefix + name + " " + value + (type ? " |" + type : "") + (rate ? " @" + rate : "") +
+            (tagString ? " " + tagString : "") + "\n";
+        if (this.journalFormat === 'framed') line = Frames.frame(line);
         this.journal.write(line);
+        if (this._selfStats) this._selfStats.linesWritten += 1;
+    },
+
+    // journal the aggregated stats of the current window and start a new window
+    // Called automatically every aggregation interval.
+    flushAggregates: function flushAggregates( ) {
+        if (!this.aggregator) return;
+        var stats = this.aggregator.drain();
+        var timestampString = this.makeTimestamp();
+        for (var i=0; i<stats.length; i++) this._writeStat(stats[i][0], stats[i][1], stats[i][2], timestampString, stats[i][3]);
+    },
+
+    // stop aggregating, journal the current window
+    stopAggregating: function stopAggregating( ) {
+        this.flushAggregates();
+        clearInterval(this._aggregateTimer);
+        this._aggregateTimer = null;
+        this.aggregator = null;
+    },
+
+    // return an http request handler that serves the current metrics to prometheus
+    // Stats logged from now on are kept in memory in addition to being journaled.
+    createPrometheusHandler: function createPrometheusHandler( options ) {
+        if (!this.prometheus) this.prometheus = new PrometheusRegistry(options);
+        var registry = this.prometheus;
+        return function prometheusHandler( req, res ) {
+            var body = registry.format();
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+    },
+
+    // serve the prometheus metrics at /metrics on the port
+    // Returns the http server; to stop serving, close the server.
+    listen: function listen( port, callback ) {
+        var handler = this.createPrometheusHandler();
+        var server = http.createServer(function(req, res) {
+            if (req.url.split('?')[0] === '/metrics') return handler(req, res);
+            res.writeHead(404);
+            res.end();
+        });
+        server.listen(port, callback);
+        return server;
     },
 
     // forever loop to periodically upload the journaled stats to the named backend
-    // To cancel, clear the returned interval timeout.
+    // The backend must have been registered with KStats.registerBackend.  To fan out
+    // to several backends, pass an array of backend names and an object with the
+    // config of each backend by name; each backend keeps its own upload progress.
+    // To cancel, call stop() on the returned interval timer, or clearInterval it.
     uploadLoop: function uploadLoop( statsLogfileName, backendName, backendConfig, uploadInterval, onError ) {
-        if (!backendConfig) throw new Error(backendName + ": stats upload backend not configured");
         if (!uploadInterval) uploadInterval = 120000;
         if (!onError) onError = function(){};
         var statsLogger = this;
-
-        var uploadStatsFunc;
-        switch (backendName) {
-        case 'stackdriver':
-            uploadStatsFunc = function uploadToStackdriver( contents, callback ) {
-                statsLogger.uploadToStackdriver(contents, backendConfig, function(err, response) {
-                    if (err) onError(err, "error uploading stats to stackdriver: " + err.message + ": " + response);
-                    var rejectLines = statsLogger.rejectedLines([]);
-                    if (rejectLines.length > 0) {
-                        onError({}, "did not upload some stats lines:\n" + rejectLines.join('\n'));
-                    }
-                    callback();
-                });
-            }
-            break;
-        default:
-            throw new Error(backendName + ": stats upload not supported");
-        }
+        var uploadStatsFunc = this._loopUploadFunction(statsLogfileName, backendName, backendConfig, onError);
 
         var uploader = setInterval(function() {
             statsLogger.uploadStatsFromJournal(statsLogfileName, uploadStatsFunc, function(err, ret) {
                 if (err) onError(err, "stats upload error: " + err.message + ": " + err.debug);
             });
         }, uploadInterval);
+        var loop = { filename: statsLogfileName, uploadFunc: uploadStatsFunc, stop: function(cb) { uploader.stop(); cb() } };
+        // a timer cleared with just clearInterval is no longer a running loop
+        loop.cleared = function cleared( ) { return uploader._onTimeout === null || uploader._destroyed === true };
+        this._uploadLoops.push(loop);
+        uploader.stop = function stop( ) {
+            clearInterval(uploader);
+            var ix = statsLogger._uploadLoops.indexOf(loop);
+            if (ix >= 0) statsLogger._uploadLoops.splice(ix, 1);
+        };
         return uploader;
     },
 
-    // convert the journal file contents into stackdriver compatible data
-    _parseJournalStackdriverContents: function _parseJournalStackdriverContents( journalContents ) {
-        var twoHoursAgo = this.unixTimestamp(Date.now() - 7202000);
-        var line, fields, collectedAtTimestamp, value;
-        var data = [];
+    // periodically upload the journaled stats to the named backend like uploadLoop, and
+    // return a controller to stop() the uploads, flushNow() and check their status()
+    // Options are {interval, onError}.
+    startUploadLoop: function startUploadLoop( statsLogfileName, backendName, backendConfig, options ) {
+        options = options || {};
+        var statsLogger = this;
+        var onError = options.onError || _noop;
+        var uploadStatsFunc = this._loopUploadFunction(statsLogfileName, backendName, backendConfig, onError);
+        var status = { running: true, uploading: false, uploads: 0, failures: 0, lastUploadTime: null, lastError: null };
+        var idleWaiters = [];
+
+        function startUpload( ) {
+            status.uploading = true;
+            statsLogger.uploadStatsFromJournal(statsLogfileName, uploadStatsFunc, function(err) {
+                status.uploading = false;
+                status.uploads += 1;
+                status.lastUploadTime = Date.now();
+                status.lastError = err || null;
+                if (err) {
+                    status.failures += 1;
+                    onError(err, "stats upload error: " + err.message + ": " + err.debug);
+                }
+                var waiters = idleWaiters;
+                idleWaiters = [];
+                for (var i=0; i<waiters.length; i++) waiters[i](err);
+            });
+        }
+
+        // call back with the error of the upload in progress once it finishes, or right away if none
+        function whenIdle( cb ) {
+            if (!status.uploading) return cb(null);
+            idleWaiters.push(cb);
+        }
+
+        var timer = setInterval(function() {
+            if (!status.uploading) startUpload();
+        }, options.interval || 120000);
+
+        var loop = { filename: statsLogfileName, uploadFunc: uploadStatsFunc, stop: null };
+        this._uploadLoops.push(loop);
+
+        var controller = {
+            // stop uploading, and call back once the upload in progress, if any, is done
+            stop: function stop( cb ) {
+                clearInterval(timer);
+                status.running = false;
+                var ix = statsLogger._uploadLoops.indexOf(loop);
+                if (ix >= 0) statsLogger._uploadLoops.splice(ix, 1);
+                return _callbackOrPromise(cb, function(cb) {
+                    whenIdle(function() { (cb || _noop)() });
+                });
+            },
+
+            // upload now, after the upload in progress, if any, and call back when done
+            flushNow: function flushNow( cb ) {
+                return _callbackOrPromise(cb, function(cb) {
+                    whenIdle(function() {
+                        if (!status.uploading) startUpload();
+                        whenIdle(cb || _noop);
+                    });
+                });
+            },
+
+            // return the {running, uploading, uploads, failures, lastUploadTime, lastError} upload status
+            status: function getStatus( ) {
+                var copy = {};
+                for (var k in status) copy[k] = status[k];
+                return copy;
+            },
+        };
+        loop.stop = controller.stop;
+        return controller;
+    },
+
+    // return the uploadStatsFromJournal upload function that delivers the journal to the
+    // named backend, or to each of the array of backends configured by name
+    _loopUploadFunction: function _loopUploadFunction( statsLogfileName, backendName, backendConfig, onError ) {
+        if (!backendConfig) throw new Error(backendName + ": stats upload backend not configured");
+        var statsLogger = this;
+        var backendNames = Array.isArray(backendName) ? backendName : [backendName];
+
+        for (var i=0; i<backendNames.length; i++) {
+            if (!backends[backendNames[i]]) throw new Error(backendNames[i] + ": stats upload not supported");
+            if (Array.isArray(backendName) && !backendConfig[backendNames[i]]) throw new Error(backendNames[i] + ": stats upload backend not configured");
+        }
+        if (!statsLogger.rejectedJournalLines) statsLogger.rejectedLines([]);
+
+        var makeUploadFunc = function makeUploadFunc( backendName, backendConfig ) {
+            return function uploadToBackend( contents, callback, batchInfo ) {
+                statsLogger.uploadToBackend(backendName, contents, backendConfig, function(err, response, rejections) {
+                    if (err) onError(err, "error uploading stats to " + backendName + ": " + err.message + ": " + response);
+                    var rejectLines = statsLogger.rejectedLines([]);
+                    if (rejectLines.length > 0) {
+                        // the error has the {line, file, lineNumber, reason, backend} records of the rejected lines
+                        var rejectErr = new Error(backendName + ": did not upload " + rejectLines.length + " stats lines");
+                        rejectErr.rejections = rejections || [];
+                        onError(rejectErr, backendName + ": did not upload some stats lines:\n" + rejectLines.join('\n'));
+                        if (statsLogger.deadLetterDir) {
+                            var baseName = path.basename(statsLogfileName) + '.rejected';
+                            var reason = { reason: backendName + ": rejected lines" };
+                            statsLogger._writeDeadLetter(baseName, rejectLines.join('\n') + '\n', reason, function(err2, deadName) {
+                                if (err2) onError(err2, "unable to save rejected stats lines to " + deadName + ": " + err2.message);
+                            });
+                        }
+                    }
+                    // pass along the upload error so the stats are retried
+                    callback(err, response);
+                }, batchInfo);
+            }
+        }
+
+        var uploadStatsFunc;
+        if (!Array.isArray(backendName)) uploadStatsFunc = makeUploadFunc(backendName, backendConfig);
+        else {
+            uploadStatsFunc = {};
+            for (var j=0; j<backendNames.length; j++) {
+                uploadStatsFunc[backendNames[j]] = makeUploadFunc(backendNames[j], backendConfig[backendNames[j]]);
+            }
+        }
+        return uploadStatsFunc;
+    },
+
+    // the upload loops not yet stopped, forgetting those whose timer was cleared
+    _runningUploadLoops: function _runningUploadLoops( ) {
+        this._uploadLoops = this._uploadLoops.filter(function(loop) { return !loop.cleared || !loop.cleared() });
+        return this._uploadLoops.slice();
+    },
+
+    // parse the journal file contents and upload them to the named registered backend
+    // Lines the backend cannot use are saved to the rejectedLines store, as are the
+    // lines the backend upload calls back with as refused.  Calls back with the error,
+    // the backend response, and the records of the lines rejected.  The batchInfo
+    // {file, lineNumber, batchId} tells where in the journal the contents are from, if
+    // known, and is passed on to the backend upload for use as an idempotency key.
+    // Returns a promise of the backend response if no callback is given.
+    uploadToBackend: function uploadToBackend( backendName, journalContents, backendConfig, cb, batchInfo ) {
+        var self = this;
+        if (typeof cb !== 'function') return _callbackOrPromise(cb, function(cb) {
+            self.uploadToBackend(backendName, journalContents, backendConfig, cb || _noop, batchInfo);
+        });
+
+        var backend = backends[backendName];
+        if (!backend) return cb(new Error(backendName + ": stats upload not supported"));
+
+        var context = _newRejectContext(backendName, batchInfo);
+        var data;
+        try { data = this._parseForBackend(backend, journalContents, backendConfig, context) }
+        catch (err) { return cb(err, "error parsing stats for " + backendName, context.rejections) }
+
+        backend.upload.call(this, data, backendConfig, function(err, response, refusedLines) {
+            // keep the summary buckets still open only once the batch is delivered, a retry summarizes them again
+            var carry = context.summaryCarry;
+            if (!err && carry) {
+                if (carry.open.keys.length) self._summaryCarries[carry.key] = carry;
+                else delete self._summaryCarries[carry.key];
+            }
+            if (refusedLines && refusedLines.length) {
+                var lines = context.contents.split("\n");
+                for (var i=0; i<refusedLines.length; i++) {
+                    var index = lines.indexOf(refusedLines[i]);
+                    var lineNumber = index >= 0 && context.lineNumber > 0 ? context.lineNumber + index : undefined;
+                    self._rejectLine(refusedLines[i], 'BACKEND_REFUSED', lineNumber, context);
+                }
+            }
+            cb(err, response, context.rejections);
+        }, batchInfo || {});
+    },
+
+    // parse the journal file contents into the data the named registered backend uploads,
+    // without uploading it.  Returns {data, rejections} with the records of the lines
+    // rejected, which are also saved to the rejectedLines store.  Throws if the backend
+    // is not registered or the contents can not be parsed.
+    parseForBackend: function parseForBackend( backendName, journalContents, backendConfig, batchInfo ) {
+        var backend = backends[backendName];
+        if (!backend) throw new Error(backendName + ": stats upload not supported");
+        var context = _newRejectContext(backendName, batchInfo);
+        var data = this._parseForBackend(backend, journalContents, backendConfig, context);
+        return { data: data, rejections: context.rejections };
+    },
+
+    // summarize and parse the contents for the backend, rejecting lines to the context
+    // The contents parsed are saved in context.contents.
+    _parseForBackend: function _parseForBackend( backend, journalContents, backendConfig, context ) {
+        this._rejectContext = context;
+        try {
+            journalContents = this._unframeJournalContents(journalContents);
+            if (backendConfig && backendConfig.summaries) {
+                journalContents = this._summarizeBatch(journalContents, backendConfig, context);
+            }
+            context.contents = journalContents;
+            return backend.parse.call(this, journalContents, backendConfig);
+        }
+        finally {
+            this._rejectContext = null;
+        }
+    },
+
+    // summarize a batch of the journal, carrying the time buckets into the next batch of the file
+    // The buckets of a captured file are held back until its last batch, which journals them all.
+    // The carry is saved in context.summaryCarry, to be kept once the batch is uploaded.
+    _summarizeBatch: function _summarizeBatch( journalContents, backendConfig, context ) {
+        var batchInfo = context.batchInfo;
+        var summaries = backendConfig.summaries;
+        if (!summaries.length) return journalContents;
+        if (!batchInfo.file) return this.summarizeJournalContents(journalContents, summaries);
+
+        var key = context.backend + ' ' + batchInfo.file;
+        var carried = this._summaryCarries[key];
+        var summary = this._summarize(journalContents, summaries, carried && carried.open, batchInfo.last === false ? -Infinity : undefined);
+        context.summaryCarry = { key: key, backend: context.backend, config: backendConfig, file: batchInfo.file, open: summary.open };
+        return summary.contents;
+    },
+
+    // upload the summary buckets carried from the unfinished captured files of the journal, or of all journals
+    // The rest of the file, if later uploaded, is summarized separately.
+    _flushSummaryCarries: function _flushSummaryCarries( journalFileName, cb ) {
+        var self = this;
+        var carries = [];
+        for (var key in this._summaryCarries) {
+            var carry = this._summaryCarries[key];
+            if (!journalFileName || carry.file === journalFileName + ".up" || carry.file.indexOf(journalFileName + ".up.") === 0) carries.push(carry);
+        }
+        var firstErr = null;
+        (function flushNext( ) {
+            if (!carries.length) return cb(firstErr);
+            var carry = carries.shift();
+            self.uploadToBackend(carry.backend, "", carry.config, function(err) {
+                if (err && !firstErr) firstErr = err;
+                flushNext();
+            }, { file: carry.file, last: true });
+        })();
+    },
+
+    // replace the framed records in the journal contents with their lines, and reject the corrupt ones
+    // Plain text contents are returned unchanged.
+    _unframeJournalContents: function _unframeJournalContents( journalContents ) {
+        if (!Frames.isFramed(journalContents)) return journalContents;
+        var self = this;
+        var firstLineNumber = this._rejectContext ? this._rejectContext.lineNumber : 1;
+        return Frames.unframe(journalContents, function(text, lineIndex, reason) {
+            self._rejectLine(text, reason, firstLineNumber > 0 ? firstLineNumber + lineIndex : undefined);
+        });
+    },
+
+    // split the journal file contents into {name, value, timestamp, collectedAt, type, line} samples
+    // Values are numbers, except set members which are strings.  Type is one
+    // of the metricTypes codes, or undefined for plain samples.  CollectedAt is
+    // the unix timestamp of the sample, adjusted by the timePolicy if stale.
+    // Malformed lines and lines outside the timePolicy limits are rejected.
+    _parseJournalContents: function _parseJournalContents( journalContents, timePolicy ) {
+        var line, sample;
+        var samples = [];
+        var now = this.unixTimestamp();
+        var oldest = timePolicy && timePolicy.maxAge >= 0 ? this.unixTimestamp(Date.now() - timePolicy.maxAge) : -Infinity;
+        var newest = timePolicy && timePolicy.maxFutureSkew >= 0 ? this.unixTimestamp(Date.now() + timePolicy.maxFutureSkew) : Infinity;
+        // the journal line number of the first line, if known
+        var firstLineNumber = this._rejectContext ? this._rejectContext.lineNumber : 1;
+        var lineNumber;
 
         var lines = journalContents.split("\n");
         for (var i=0; i<lines.length; i++) {
             line = lines[i];
             if (!line) continue;
+            lineNumber = firstLineNumber > 0 ? firstLineNumber + i : undefined;
+
+            sample = _parseJournalLine(line);
+            if (!sample) {
+                // an unterminated malformed last line was torn by a crash mid-write
+                var reason = (i === lines.length - 1) ? 'TRUNCATED' : _isNotNumeric(line) ? 'NOT_NUMERIC' : 'BAD_FIELDS';
+                this._rejectLine(line, reason, lineNumber);
+                continue;
+            }
+            sample.lineNumber = lineNumber;
+
+            sample.collectedAt = this.unixTimestamp(sample.timestamp);
+            if (isNaN(sample.collectedAt)) {
+                this._rejectLine(line, 'BAD_TIMESTAMP', lineNumber);
+                continue;
+            }
+            if (sample.collectedAt > newest) {
+                this._rejectLine(line, 'FUTURE', lineNumber);
+                continue;
+            }
+            if (!(sample.collectedAt > oldest)) {
+                switch (timePolicy.staleAction) {
+                case 'clamp':
+                    sample.collectedAt = now;
+                    break;
+                case 'rebucket':
+                    // into the oldest whole minute still accepted
+                    sample.collectedAt = Math.min(now, oldest - oldest % 60 + 60);
+                    break;
+                default:
+                    this._rejectLine(line, 'STALE', lineNumber);
+                    continue;
+                }
+            }
+            samples.push(sample);
+        }
+        return samples;
+    },
+
+    // replace the samples and timings that match a summaries rule with percentile summaries
+    // The values are grouped by name and time bucket, and each group is journaled
+    // as "name.count", "name.pNN" for each configured percentile, and "name.max".
+    // Rules are {match, percentiles, bucketWidth, relativeAccuracy}, the first matching
+    // rule applies.  Other lines are returned unchanged.
+    summarizeJournalContents: function summarizeJournalContents( journalContents, summaries ) {
+        if (!summaries || !summaries.length) return journalContents;
+        return this._summarize(journalContents, summaries, null).contents;
+    },
+
+    // summarize the journal contents, merging in the carried groups of an earlier batch
+    // Only the groups whose time bucket ended by closedBefore are journaled, the groups
+    // still open are returned as {contents, open} to be carried into the next batch.
+    // Without a closedBefore all groups are journaled.  The carried groups are not modified.
+    _summarize: function _summarize( journalContents, summaries, carried, closedBefore ) {
+        var rules = summaries.map(_compileSummaryRule);
+        var line, sample, rule, collectedAtTimestamp, bucket, tagString, key, group;
+        var groups = Object.create(null);
+        var groupKeys = [];
+        var output = [];
+        var open = { groups: Object.create(null), keys: [] };
+
+        for (var c=0; carried && c<carried.keys.length; c++) {
+            group = carried.groups[carried.keys[c]];
+            groups[carried.keys[c]] = {
+                name: group.name,
+                tagString: group.tagString,
+                timestamp: group.timestamp,
+                rule: group.rule,
+                histogram: new LogHistogram({ relativeAccuracy: group.rule.relativeAccuracy }).merge(group.histogram),
+            };
+            groupKeys.push(carried.keys[c]);
+        }
+
+        var lines = journalContents.split("\n");
+        for (var i=0; i<lines.length; i++) {
+            line = lines[i];
+            if (!line) continue;
+
+            sample = _parseJournalLine(line);
+            rule = (sample && (!sample.type || sample.type === 'ms')) ? _findSummaryRule(rules, sample.name) : null;
+            if (!rule) {
+                output.push(line);
+                continue;
+            }
+
+            collectedAtTimestamp = this.unixTimestamp(sample.timestamp);
+            if (isNaN(collectedAtTimestamp)) {
+                // leave it to the backend to reject
+                output.push(line);
+                continue;
+            }
+            bucket = collectedAtTimestamp - collectedAtTimestamp % rule.bucketWidth;
+            tagString = sample.tags ? _formatJournalTags(sample.tags) : '';
+            key = bucket + ' ' + sample.name + ' ' + tagString;
+            group = groups[key];
+            if (!group) {
+                group = groups[key] = {
+                    name: sample.name,
+                    tagString: tagString,
+                    timestamp: bucket,
+                    rule: rule,
+                    histogram: new LogHistogram({ relativeAccuracy: rule.relativeAccuracy }),
+                };
+                groupKeys.push(key);
+            }
+            // a sampled value stands for 1/rate values
+            group.histogram.add(sample.value, sample.rate ? 1 / sample.rate : 1);
+        }
+
+        for (var j=0; j<groupKeys.length; j++) {
+            group = groups[groupKeys[j]];
+            if (closedBefore !== undefined && group.timestamp + group.rule.bucketWidth > closedBefore) {
+                open.groups[groupKeys[j]] = group;
+                open.keys.push(groupKeys[j]);
+                continue;
+            }
+            var prefix = group.timestamp + " " + group.name;
+            var suffix = group.tagString ? " " + group.tagString : "";
+            output.push(prefix + ".count " + group.histogram.count + " |c" + suffix);
+            for (var k=0; k<group.rule.percentiles.length; k++) {
+                var p = group.rule.percentiles[k];
+                // the percentiles are approximate, do not journal spurious precision
+                output.push(prefix + ".p" + p + " " + Number(group.histogram.percentile(p).toPrecision(6)) + " |g" + suffix);
+            }
+            output.push(prefix + ".max " + group.histogram.max + " |g" + suffix);
+        }
+
+        return { contents: output.length ? output.join("\n") + "\n" : "", open: open };
+    },
 
-            fields = line.split(' ');
+    // convert the journal file contents into stackdriver compatible data
+    // Stackdriver averages the values from the same minute, so counters, gauges
+    // and sets are combined into a single per-minute value before uploading.
+    // Stackdriver accepts samples collected no more than 2 hours ago.
+    _parseJournalStackdriverContents: function _parseJournalStackdriverContents( journalContents, backendConfig ) {
+        var samples = this._parseJournalContents(journalContents, _timePolicy(backendConfig, { maxAge: 7202000 }));
+        var sample, collectedAtTimestamp, minute, key, point;
+        var combined = Object.create(null);
+        var setMembers = Object.create(null);
+        var data = [];
 
-            // stackdriver accepts only numeric values
-            // must have been collected_at <= 2 hours ago
-            collectedAtTimestamp = this.unixTimestamp(fields[0]);
-            value = parseFloat(fields[2]);
+        for (var i=0; i<samples.length; i++) {
+            sample = samples[i];
 
-            if (fields.length === 3 &&
-                collectedAtTimestamp > twoHoursAgo &&
-                value > -Infinity && value < Infinity)
-            {
+            collectedAtTimestamp = sample.collectedAt;
+            if (!sample.type || sample.type === 'ms') {
                 data.push({
-                    name: fields[1],
-                    value: parseFloat(fields[2]) || 0,
+                    name: sample.name,
+                    value: sample.value || 0,
                     collected_at: collectedAtTimestamp,
                     instance: this.instance,
                 });
+                continue;
+            }
+
+            minute = collectedAtTimestamp - collectedAtTimestamp % 60;
+            key = sample.type + ' ' + sample.name + ' ' + minute;
+            point = combined[key];
+            if (!point) {
+                point = combined[key] = {
+                    name: sample.name,
+                    value: 0,
+                    collected_at: minute,
+                    instance: this.instance,
+                };
+                if (sample.type === 's') setMembers[key] = Object.create(null);
+                data.push(point);
             }
-            else {
-                if (this.rejectedJournalLines) this.rejectedJournalLines.push(line);
+
+            switch (sample.type) {
+            case 'c': point.value += _unsampledValue(sample); break;
+            case 'g': point.value = sample.value; break;
+            case 's':
+                if (!setMembers[key][sample.value]) point.value += 1;
+                setMembers[key][sample.value] = true;
+                break;
             }
         }
         return data;
     },
 
     // courtesy function to retrieve the AWS host instance-id
+    // Returns a promise if no callback is given.
     lookUpInstanceId: function lookUpInstanceId( cb ) {
         // AWS instance-id "curl http://169.254.169.254/latest/meta-data/instance-id"
         // or the ec2metadata command-line utility
-        var cmdline = 'ec2metadata | grep instance-id';
-
-        if (!cb) return _tryExecSync(cmdline).toString().split(' ').pop().trim();
+        return _callbackOrPromise(cb, function(cb) {
+            child_process.exec(ec2metadataCmdline, function(err, stdout, stderr) {
+                if (err || stderr) {
+                    cb(new Error("error running ec2metadata: " + (err ? err.message : '') + "\n" + stderr), undefined);
+                }
+                else {
+                    var words = stdout.toString().trim().split(' ');
+                    cb(null, words.pop());
+                }
+            });
+        });
+    },
 
-        child_process.exec(cmdline, function(err, stdout, stderr) {
-            if (err || stderr) {
-                cb(new Error("error running ec2metadata: " + err.message + "\n" + stderr), undefined);
-            }
-            else {
-                var words = stdout.toString().trim().split(' ');
-                cb(null, words.pop());
-            }
+    // look up the {provider, instanceId, zone, region, podName, namespace, nodeName} of this host
+    // from the AWS, GCE or Azure metadata service and the Kubernetes environment variables
+    // Options are {endpoint, timeout, providers, refresh}.  Returns a promise if no callback is given.
+    resolveMetadata: function resolveMetadata( options, cb ) {
+        if (typeof options === 'function') { cb = options; options = {} }
+        return _callbackOrPromise(cb, function(cb) {
+            Metadata.resolve(options, cb || _noop);
         });
     },
 
+    // retrieve the AWS host instance-id synchronously, or "" if not available
+    lookUpInstanceIdSync: function lookUpInstanceIdSync( ) {
+        return _tryExecSync(ec2metadataCmdline).toString().split(' ').pop().trim();
+    },
+
     // send the data to stackdriver
     // stackdriver averages sample values from within the same minute
     // http://support.stackdriver.com/customer/portal/articles/1491766-sending-custom-application-metrics-to-the-stackdriver-system
     uploadToStackdriver: function uploadToStackdriver( journalContents, backendConfig, cb ) {
-        if (!backendConfig.apiKey) return cb(new Error("missing apiKey"));
+        return this.uploadToBackend('stackdriver', journalContents, backendConfig, cb);
+    },
 
-        var statsData = this._parseJournalStackdriverContents(journalContents);
+    // post the parsed stats data to the stackdriver custom metrics gateway
+    _sendToStackdriver: function _sendToStackdriver( statsData, backendConfig, cb ) {
+        if (!backendConfig.apiKey) return cb(new Error("missing apiKey"));
         if (statsData.length <= 0) return cb(null, {});
 
         var body = JSON.stringify({
@@ -259,62 +1355,692 @@ KStats.prototype = {
         req.end();
     },
 
+    // convert the journal file contents into influxdb line protocol lines
+    // Each stat is a measurement with a single `value` field, the tags are the
+    // sample tags merged over the configured tags.  Set members are string values.
+    // https://docs.influxdata.com/influxdb/v1/write_protocols/line_protocol_reference/
+    _parseJournalInfluxContents: function _parseJournalInfluxContents( journalContents, backendConfig ) {
+        backendConfig = backendConfig || {};
+        var samples = this._parseJournalContents(journalContents, _timePolicy(backendConfig, {}));
+        var sample, value;
+        var data = [];
+
+        for (var i=0; i<samples.length; i++) {
+            sample = samples[i];
+            value = sample.type === 's' ? '"' + sample.value.replace(/["\\]/g, '\\$&') + '"' : _unsampledValue(sample);
+            data.push(sample.name.replace(/[, \\]/g, '\\$&') + _formatInfluxTags(_mergeTags(backendConfig.tags, sample.tags)) +
+                ' value=' + value + ' ' + sample.collectedAt);
+        }
+        return data;
+    },
+
+    // send the data to influxdb over http
+    uploadToInflux: function uploadToInflux( journalContents, backendConfig, cb ) {
+        return this.uploadToBackend('influx', journalContents, backendConfig || {}, cb);
+    },
+
+    // post the line protocol lines to the influxdb /write endpoint, timestamped in seconds
+    _sendToInflux: function _sendToInflux( influxLines, backendConfig, cb ) {
+        if (!backendConfig.db) return cb(new Error("missing db"));
+        if (influxLines.length <= 0) return cb(null, 0);
+
+        var query = 'db=' + encodeURIComponent(backendConfig.db) + '&precision=s';
+        if (backendConfig.retentionPolicy) query += '&rp=' + encodeURIComponent(backendConfig.retentionPolicy);
+        if (backendConfig.username) query += '&u=' + encodeURIComponent(backendConfig.username) + '&p=' + encodeURIComponent(backendConfig.password || '');
+
+        var body = influxLines.join("\n") + "\n";
+        var uri = {
+            host: backendConfig.host || "127.0.0.1",
+            port: backendConfig.port || 8086,
+            path: (backendConfig.path || "/write") + '?' + query,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+            },
+            timeout: backendConfig.timeout || 10000,
+        };
+        if (backendConfig.token) uri.headers['Authorization'] = 'Token ' + backendConfig.token;
+
+        request(uri, body, function(err, res) {
+            if (err) return cb(err, res && res.body);
+            cb(null, influxLines.length);
+        });
+    },
+
+    // convert the journal file contents into graphite plaintext "name value timestamp" lines
+    // Graphite stores only numbers, set members are rejected.  Tags are sent as
+    // graphite 1.1 "name;tag=value" tags.
+    _parseJournalGraphiteContents: function _parseJournalGraphiteContents( journalContents, backendConfig ) {
+        backendConfig = backendConfig || {};
+        var samples = this._parseJournalContents(journalContents, _timePolicy(backendConfig, {}));
+        var sample;
+        var data = [];
+
+        for (var i=0; i<samples.length; i++) {
+            sample = samples[i];
+            if (sample.type === 's') {
+                this._rejectLine(sample.line, 'NOT_NUMERIC', sample.lineNumber);
+                continue;
+            }
+            data.push(sample.name.replace(/[\s;]/g, '_') + _formatGraphiteTags(_mergeTags(backendConfig.tags, sample.tags)) +
+                ' ' + _unsampledValue(sample) + ' ' + sample.collectedAt);
+        }
+        return data;
+    },
+
+    // send the data to graphite (carbon) over tcp
+    uploadToGraphite: function uploadToGraphite( journalContents, backendConfig, cb ) {
+        return this.uploadToBackend('graphite', journalContents, backendConfig || {}, cb);
+    },
+
+    // write the lines to the graphite connection, reconnecting if it was lost
+    _sendToGraphite: function _sendToGraphite( graphiteLines, backendConfig, cb ) {
+        if (graphiteLines.length <= 0) return cb(null, 0);
+
+        var host = backendConfig.host || "127.0.0.1";
+        var port = backendConfig.port || 2003;
+        var key = host + ':' + port;
+        if (!this._graphiteClients) this._graphiteClients = {};
+        var client = this._graphiteClients[key];
+        if (!client) client = this._graphiteClients[key] = new GraphiteClient({ host: host, port: port, timeout: backendConfig.timeout });
+
+        client.send(graphiteLines.join("\n") + "\n", function(err) {
+            if (err) return cb(err);
+            cb(null, graphiteLines.length);
+        });
+    },
+
+    // convert the journal file contents into cloud monitoring time series
+    // A time series accepts at most one point per few seconds, so all the points of
+    // the same name, tags and minute are combined:  counters are summed, gauges take
+    // the last value, sets count their distinct members, samples and timings are averaged.
+    _parseJournalCloudMonitoringContents: function _parseJournalCloudMonitoringContents( journalContents, backendConfig ) {
+        // points older than 25 hours or more than 5 minutes in the future are refused by the api
+        var samples = this._parseJournalContents(journalContents, _timePolicy(backendConfig, { maxAge: 24 * 3600 * 1000, maxFutureSkew: 300000 }));
+        var sample, collectedAtTimestamp, minute, key, point;
+        var combined = Object.create(null);
+        var setMembers = Object.create(null);
+        var points = [];
+
+        for (var i=0; i<samples.length; i++) {
+            sample = samples[i];
+
+            collectedAtTimestamp = sample.collectedAt;
+            minute = collectedAtTimestamp - collectedAtTimestamp % 60;
+            key = sample.name + ' ' + minute + ' ' + (sample.tags ? _formatJournalTags(sample.tags) : '');
+            point = combined[key];
+            if (!point) {
+                point = combined[key] = {
+                    name: sample.name,
+                    value: 0,
+                    count: 0,
+                    // timestamped with the end of the minute, so the points of a series are a minute apart
+                    collected_at: minute + 60,
+                    tags: sample.tags,
+                    lines: [],
+                };
+                setMembers[key] = Object.create(null);
+                points.push(point);
+            }
+            point.lines.push(sample.line);
+
+            switch (sample.type) {
+            case 'c': point.value += _unsampledValue(sample); break;
+            case 'g': point.value = sample.value; break;
+            case 's':
+                if (!setMembers[key][sample.value]) point.value += 1;
+                setMembers[key][sample.value] = true;
+                break;
+            default:
+                point.value = (point.value * point.count + (sample.value || 0)) / (point.count + 1);
+                point.count += 1;
+                break;
+            }
+        }
+
+        return CloudMonitoring.buildTimeSeries(points, backendConfig, { hostname: this.hostname, instance: this.instance });
+    },
+
+    // send the data to google cloud monitoring as custom metrics
+    // The backendConfig needs the service account key as `credentials` or `keyFile`
+    // (or an `accessToken`), and the `projectId` if not the key's project.
+    // https://cloud.google.com/monitoring/custom-metrics/creating-metrics
+    uploadToCloudMonitoring: function uploadToCloudMonitoring( journalContents, backendConfig, cb ) {
+        return this.uploadToBackend('cloudmonitoring', journalContents, backendConfig || {}, cb);
+    },
+
+    // create the parsed time series, at most 200 per request
+    _sendToCloudMonitoring: function _sendToCloudMonitoring( timeSeries, backendConfig, cb ) {
+        CloudMonitoring.createTimeSeries(timeSeries, backendConfig, cb);
+    },
+
+    // convert the journal file contents into statsd protocol lines
+    // Statsd has no notion of a sample timestamp, the stats are attributed to the time received.
+    // Typed stats are sent as their own type, untyped samples as the configured type.
+    // The sample rates of counters and timings are sent along for statsd to scale the values.
+    _parseJournalStatsdContents: function _parseJournalStatsdContents( journalContents, backendConfig ) {
+        backendConfig = backendConfig || {};
+        var defaultType = backendConfig.type || 'g';
+        var tags = _formatDogstatsdTags(backendConfig.tags);
+        var samples = this._parseJournalContents(journalContents, _timePolicy(backendConfig, {}));
+        var sample, name, value, type, suffix;
+        var data = [];
+
+        for (var i=0; i<samples.length; i++) {
+            sample = samples[i];
+            // the statsd wire format reserves ':', '|' and '@', and a decoded set member may hold a line break
+            value = sample.type === 's' ? sample.value.replace(/[:|@\s]/g, '_') : sample.value;
+            type = sample.type || defaultType;
+            name = sample.name.replace(/[:|@]/g, '_');
+            suffix = ((sample.rate && (type === 'c' || type === 'ms')) ? '|@' + sample.rate : '') +
+                (sample.tags ? _formatDogstatsdTags(backendConfig.tags, sample.tags) : tags);
+            // a signed gauge value is a change to the gauge, so a negative gauge is first set to 0
+            if (type === 'g' && value < 0) data.push(name + ':0|g' + suffix + '\n' + name + ':' + value + '|g' + suffix);
+            else data.push(name + ':' + value + '|' + type + suffix);
+        }
+        return data;
+    },
+
+    // send the data to statsd over udp
+    // As many lines as fit are packed into each datagram, separated by newlines.
+    // https://github.com/etsy/statsd/blob/master/docs/metric_types.md
+    uploadToStatsd: function uploadToStatsd( journalContents, backendConfig, cb ) {
+        return this.uploadToBackend('statsd', journalContents, backendConfig || {}, cb);
+    },
+
+    // send the parsed statsd lines to the statsd server
+    _sendToStatsd: function _sendToStatsd( statsLines, backendConfig, cb ) {
+        if (statsLines.length <= 0) return cb(null, 0);
+
+        var host = backendConfig.host || "127.0.0.1";
+        var port = backendConfig.port || 8125;
+        var packets = _packLines(statsLines, backendConfig.mtu || 1432);
+
+        var socket = dgram.createSocket(backendConfig.socketType || 'udp4');
+        var returned = false;
+        function returnOnce( err, response ) {
+            if (returned) return;
+            returned = true;
+            socket.close();
+            cb(err, response);
+        }
+        socket.on('error', function(err) { returnOnce(err) });
+
+        // send the packets one at a time, in order, stopping on the first error
+        var packetIndex = 0;
+        (function sendNext( err ) {
+            if (err) return returnOnce(err, packetIndex - 1 + " of " + packets.length + " packets sent");
+            if (packetIndex >= packets.length) return returnOnce(null, packets.length);
+            var buf = fromBuf(packets[packetIndex++]);
+            socket.send(buf, 0, buf.length, port, host, sendNext);
+        })();
+    },
+
     // upload the stats journal using the uploadCallback function
     // on success, clear out the journal, else try again next time
-    // uploadCallback takes the journal file contents and a cb
+    // uploadCallback takes the journal file contents and a cb (or returns a promise), or
+    // is an object of named upload functions to each deliver the journal to
+    // Returns a promise if no doneCallback is given.
     uploadStatsFromJournal: function uploadStatsFromJournal( journalFileName, uploadCallback, doneCallback ) {
-        var capturedFileName = journalFileName + ".up";
         var self = this;
+        var pendingFileNames;
+        if (typeof doneCallback !== 'function') return _callbackOrPromise(doneCallback, function(cb) {
+            self.uploadStatsFromJournal(journalFileName, uploadCallback, cb || _noop);
+        });
 
         // if already uploading, nothing to do
         if (self._uploading) return doneCallback();
 
-        // wrapper the callback to be sure to turn off _uploading
+        // if backing off after failed uploads, wait until the retry is due
+        var attempts = self._uploadAttempts[journalFileName + ".up"];
+        if (!self.segments && attempts && Date.now() < attempts.retryAt) return doneCallback();
+
+        // wrapper the callback to be sure to turn off _uploading and release the upload lock
         function returnToCaller( err, debugMessage ) {
-            self._uploading = false;
             if (err && debugMessage) err.debug = debugMessage;
+            if (!uploadLock) return done(err);
+            uploadLock.release(function(lockErr) { done(err || lockErr) });
+        }
+        function done( err ) {
+            self._uploading = false;
             doneCallback(err);
         }
 
+        // a single upload function is the unnamed destination ''
+        var uploaders = typeof uploadCallback === 'function' ? { '': uploadCallback } : uploadCallback;
+        var destinations = Object.keys(uploaders);
+        // destinations that failed or are backing off skip the newer files, to keep their stats in order
+        var stopped = {};
+        var uploadError = null, uploadErrorDebug;
+
         self._uploading = true;
-        var debug;
+        if (self._selfStats) self._selfStats.journalFileName = journalFileName;
+        var commitLog = null;
+        if (self.commitLog) {
+            commitLog = self._commitLogs[journalFileName];
+            if (!commitLog) commitLog = self._commitLogs[journalFileName] = new CommitLog(journalFileName + ".committed", self.commitLog);
+        }
+        var uploadLock = null;
+        if (self.uploadLock) {
+            uploadLock = self._uploadLocks[journalFileName];
+            if (!uploadLock) uploadLock = self._uploadLocks[journalFileName] = new LockFile(journalFileName + ".lock", self.uploadLock);
+        }
+
+        // if another process is uploading the journal, let it
+        if (!uploadLock) captureAndUpload();
+        else uploadLock.acquire(function(err, acquired) {
+            if (err || !acquired) { uploadLock = null; return returnToCaller(err, err && "error locking stats logfile " + journalFileName) }
+            captureAndUpload();
+        });
+
+        function captureAndUpload( ) {
+            var captureJournal = self.segments ? self._captureSegment : self._captureJournal;
+            captureJournal.call(self, journalFileName, function(err, debug) {
+                // with the journal gone, the summaries carried from its last captured file are not completed
+                if (err && err.message.indexOf('ENOENT') >= 0) return self._flushSummaryCarries(journalFileName, function() { returnToCaller(err, debug) });
+                if (err) return returnToCaller(err, debug);
+                if (!self.segments) return loadCommitLog([journalFileName + ".up"]);
+                self._listSegments(journalFileName, function(err, segments) {
+                    loadCommitLog(segments.map(function(seg) { return seg.name }));
+                });
+            });
+        }
+
+        function loadCommitLog( fileNames ) {
+            pendingFileNames = fileNames;
+            if (!commitLog) return uploadNext(0);
+            commitLog.load(function() { uploadNext(0) });
+        }
+
+        // upload the captured files oldest first, until every destination is done or has stopped
+        function uploadNext( i ) {
+            if (i >= pendingFileNames.length) return returnToCaller(uploadError, uploadErrorDebug);
+            var capturedFileName = pendingFileNames[i];
+            var active = [];
+            for (var j=0; j<destinations.length; j++) {
+                var attempts = self._uploadAttempts[_attemptsKey(capturedFileName, destinations[j])];
+                if (attempts && Date.now() < attempts.retryAt) stopped[destinations[j]] = true;
+                if (!stopped[destinations[j]]) active.push(destinations[j]);
+            }
+            if (!active.length) return returnToCaller(uploadError, uploadErrorDebug);
+
+            self._uploadCapturedFile(capturedFileName, uploaders, active, commitLog, uploadLock, function(err, debug, failed) {
+                if (err && !failed) return returnToCaller(err, debug);
+                for (var name in failed) stopped[name] = true;
+                if (err && !uploadError) { uploadError = err; uploadErrorDebug = debug }
+                uploadNext(i + 1);
+            });
+        }
+    },
+
+    // rename the journal to journalFileName.up for uploading, unless already exists
+    _captureJournal: function _captureJournal( journalFileName, cb ) {
+        var capturedFileName = journalFileName + ".up";
         QFputs.FileWriter.renameFile(journalFileName, capturedFileName, function(err) {
             // not an error for there to already be a captured filename, process it
             if (err && err.message.indexOf('EEXIST') >= 0) err = null;
-
-            if (err) {
-                debug = "error reading stats logfile " + journalFileName;
-                return returnToCaller(err, debug);
+            if (err && err.message.indexOf('ENOENT') >= 0) {
+                // nor for the journal to be missing if there is a captured file still to retry
+                return _fileExists(capturedFileName, function(e, exists) {
+                    cb(exists ? null : err, exists ? undefined : "error reading stats logfile " + journalFileName);
+                });
             }
-            else {
-                fs.readFile(capturedFileName, function(err, contents) {
-                    if (err) {
-                        debug = "error reading stats logfile " + capturedFileName;
-                        return returnToCaller(err, debug);
+            cb(err, err && "error reading stats logfile " + journalFileName);
+        });
+    },
+
+    // rename the journal to the next numbered segment journalFileName.up.<n>
+    // If the segment limits would be exceeded, either the oldest segments are
+    // dropped (moved to the dead-letter directory, if any) or the journal is not
+    // captured this time, depending on the segments policy.
+    _captureSegment: function _captureSegment( journalFileName, cb ) {
+        var self = this;
+        var limits = this.segments;
+        this._listSegments(journalFileName, function(err, segments) {
+            fs.stat(journalFileName, function(err, stat) {
+                // not an error for the journal to be missing if there are segments still to upload
+                if (err) return cb(err.code === 'ENOENT' && segments.length ? null : err, "error reading stats logfile " + journalFileName);
+                if (stat.size === 0) return cb();
+
+                var count = 1, bytes = stat.size, i;
+                for (i=0; i<segments.length; i++) { count += 1; bytes += segments[i].size }
+                var overLimit = function() { return count > (limits.maxSegments || Infinity) || bytes > (limits.maxBytes || Infinity) };
+
+                // to make room drop the oldest segments, but not the one being captured
+                var dropped = [];
+                if (limits.policy === 'refuseNew') {
+                    if (overLimit()) return cb();
+                }
+                else {
+                    for (i=0; i<segments.length && overLimit(); i++) {
+                        dropped.push(segments[i].name);
+                        count -= 1;
+                        bytes -= segments[i].size;
                     }
-                    contents = contents.toString();
-                    if (!contents) {
-                        fs.unlink(capturedFileName, function(err) {
-                            debug = "unable to remove empty stats file " + capturedFileName;
-                            return returnToCaller(err, debug);
+                }
+
+                (function dropNext( ) {
+                    if (!dropped.length) return capture();
+                    self._dropSegment(dropped.shift(), function(err) {
+                        if (err) return cb(err, "unable to drop stats segment");
+                        dropNext();
+                    });
+                })();
+
+                function capture( ) {
+                    var lastNumber = segments.length ? segments[segments.length - 1].number : 0;
+                    var segmentName = journalFileName + ".up." + (lastNumber + 1);
+                    QFputs.FileWriter.renameFile(journalFileName, segmentName, function(err) {
+                        cb(err, err && "error capturing stats logfile " + journalFileName + " to " + segmentName);
+                    });
+                }
+            });
+        });
+    },
+
+    // call back with the captured {name, number, size, mtime} segments of the journal, oldest first
+    // A legacy journalFileName.up is treated as segment 0.
+    _listSegments: function _listSegments( journalFileName, cb ) {
+        var dirname = path.dirname(journalFileName);
+        var basename = path.basename(journalFileName);
+        var segments = [];
+        fs.readdir(dirname, function(err, filenames) {
+            if (err) return cb(null, segments);
+            var found = [];
+            for (var i=0; i<filenames.length; i++) {
+                var number = filenames[i] === basename + ".up" ? 0 : _segmentNumber(basename, filenames[i]);
+                if (number >= 0) found.push({ name: path.join(dirname, filenames[i]), number: number });
+            }
+            (function statNext( i ) {
+                if (i >= found.length) return cb(null, segments.sort(function(a, b) { return a.number - b.number }));
+                fs.stat(found[i].name, function(err, stat) {
+                    if (!err) segments.push({ name: found[i].name, number: found[i].number, size: stat.size, mtime: stat.mtime.getTime() });
+                    statNext(i + 1);
+                });
+            })(0);
+        });
+    },
+
+    // remove the segment, saving it to the dead-letter directory if configured
+    _dropSegment: function _dropSegment( segmentName, cb ) {
+        var self = this;
+        delete this._uploadAttempts[segmentName];
+        fs.unlink(segmentName + ".offset", function() {
+            if (self.deadLetterDir) self._moveToDeadLetter(segmentName, { reason: "segment limit exceeded" }, cb);
+            else fs.unlink(segmentName, cb);
+        });
+    },
+
+    // upload the captured file in batches of whole lines to the active destinations,
+    // and remove it once every destination has all of it
+    // The progress of each destination is checkpointed after every batch, so that
+    // an interrupted upload resumes after the last batch the destination accepted,
+    // and a destination that failed is retried without resending to the others.
+    // Calls back with the error, the debug message, and the destinations whose
+    // upload failed, if any.
+    _uploadCapturedFile: function _uploadCapturedFile( capturedFileName, uploaders, active, commitLog, uploadLock, cb ) {
+        var self = this;
+        var checkpointFileName = capturedFileName + ".offset";
+        var limits = {
+            maxLines: this.uploadBatch.maxLines || Infinity,
+            maxBytes: this.uploadBatch.maxBytes || 1000000,
+        };
+        var destinations = Object.keys(uploaders);
+        var failures = [];
+        var fd, size, ino, offsets, lineCounts;
+
+        fs.open(capturedFileName, 'r', function(err, fileDescriptor) {
+            if (err) return cb(err, "error reading stats logfile " + capturedFileName);
+            fd = fileDescriptor;
+            fs.fstat(fd, function(err, stat) {
+                if (err) return finish(err, "error reading stats logfile " + capturedFileName);
+                size = stat.size;
+                ino = stat.ino;
+                _readCheckpointOffsets(checkpointFileName, ino, destinations, function(err, checkpoint) {
+                    offsets = checkpoint.offsets;
+                    lineCounts = checkpoint.lines;
+                    uploadDestination(0);
+                });
+            });
+        });
+
+        function uploadDestination( i ) {
+            if (i >= active.length) return finish();
+            var destination = active[i];
+            (function uploadNextBatch( ) {
+                if (offsets[destination] >= size) return uploadDestination(i + 1);
+                _readBatch(fd, offsets[destination], size, limits, function(err, batch) {
+                    if (err) return finish(err, "error reading stats logfile " + capturedFileName);
+                    var batchInfo = {
+                        file: capturedFileName,
+                        offset: offsets[destination],
+                        lineNumber: lineCounts[destination] >= 0 ? lineCounts[destination] + 1 : undefined,
+                        batchId: _batchId(capturedFileName, offsets[destination], batch),
+                        last: offsets[destination] + batch.length >= size,
+                    };
+                    // a batch already delivered before a restart is not sent again
+                    if (commitLog && commitLog.has(batchInfo.batchId, destination)) return batchDone();
+
+                    var startTime = Date.now();
+                    _callUploadFunction(uploaders[destination], batch.toString(), function(err, response) {
+                        self._noteUpload(err, batch.length, Date.now() - startTime);
+                        if (err) {
+                            failures.push({ destination: destination, err: err, debug: "error uploading stats" + (destination ? " to " + destination : "") + ": " + response });
+                            return uploadDestination(i + 1);
+                        }
+                        if (!commitLog) return batchDone();
+                        commitLog.add(batchInfo.batchId, destination, function(err) {
+                            if (err) return finish(err, "unable to record stats upload in " + commitLog.filename);
+                            batchDone();
+                        });
+                    }, batchInfo);
+
+                    function batchDone( ) {
+                        offsets[destination] += batch.length;
+                        if (lineCounts[destination] >= 0) lineCounts[destination] += _countLines(batch);
+                        if (allUploaded()) return uploadDestination(i + 1);
+                        writeCheckpoint(function(err) {
+                            if (err) return finish(err, "unable to checkpoint stats upload to " + checkpointFileName);
+                            // keep the upload lock from going stale while working through a backlog
+                            if (!uploadLock) return uploadNextBatch();
+                            uploadLock.touch(function() { uploadNextBatch() });
                         });
                     }
-                    else {
-                        uploadCallback(contents, function(err, response) {
-                            if (err) {
-                                debug = "error uploading stats to stackdriver: " + response;
-                                return returnToCaller(err, debug);
-                            }
-                            // remove the file only if successful to updload, else try again next time
-                            fs.unlink(capturedFileName, function(err) {
-                                debug = "unable to remove uploaded stats file " + capturedFileName;
-                                return returnToCaller(err, debug);
-                            });
+                });
+            })();
+        }
+
+        function allUploaded( ) {
+            for (var i=0; i<destinations.length; i++) if (offsets[destinations[i]] < size) return false;
+            return true;
+        }
+
+        function writeCheckpoint( cb ) {
+            var checkpoint = destinations[0] === '' ?
+                { ino: ino, offset: offsets[''], lines: lineCounts[''] } :
+                { ino: ino, offsets: offsets, lines: lineCounts };
+            fs.writeFile(checkpointFileName, JSON.stringify(checkpoint), cb);
+        }
+
+        function finish( err, debug ) {
+            fs.close(fd, function() {
+                if (err) return cb(err, debug);
+                var failed = null, gaveUp = false, i = 0;
+
+                // note the failures, and retry them later or give up on them
+                (function failNext( ) {
+                    if (i >= failures.length) return done();
+                    var failure = failures[i++];
+                    failed = failed || {};
+                    failed[failure.destination] = true;
+                    var onFailed = function(err2, giveUpMessage, destinationDone) {
+                        if (giveUpMessage) failure.debug += "; " + giveUpMessage;
+                        if (err2) failure.debug += "; " + err2.message;
+                        if (destinationDone) { offsets[failure.destination] = size; gaveUp = true }
+                        failNext();
+                    };
+                    if (failure.destination === '') self._uploadFailed(capturedFileName, failure.err, onFailed);
+                    else self._destinationFailed(capturedFileName, failure.destination, offsets[failure.destination], failure.err, onFailed);
+                })();
+
+                function done( ) {
+                    var uploadErr = failures.length ? failures[0].err : null;
+                    var uploadDebug = failures.length ? failures.map(function(f) { return f.debug }).join("; ") : undefined;
+                    if (!allUploaded()) {
+                        // the destinations given up on are done with the file, checkpoint that
+                        if (!gaveUp) return cb(uploadErr, uploadDebug, failed);
+                        return writeCheckpoint(function(err) {
+                            if (err) uploadDebug += "; unable to checkpoint stats upload to " + checkpointFileName;
+                            cb(uploadErr, uploadDebug, failed);
                         });
                     }
+
+                    // remove the file only if all of it was uploaded
+                    // Remove the checkpoint first; if interrupted, better to resend than to skip stats.
+                    for (var i=0; i<destinations.length; i++) delete self._uploadAttempts[_attemptsKey(capturedFileName, destinations[i])];
+                    fs.unlink(checkpointFileName, function(err) {
+                        if (err && err.code !== 'ENOENT') return cb(err, "unable to remove stats checkpoint file " + checkpointFileName);
+                        fs.unlink(capturedFileName, function(err) {
+                            if (err) return cb(err, "unable to remove uploaded stats file " + capturedFileName);
+                            cb(uploadErr, uploadDebug, failed);
+                        });
+                    });
+                }
+            });
+        }
+    },
+
+    // count the batch upload for the pipeline health metrics
+    _noteUpload: function _noteUpload( err, byteCount, latency ) {
+        var stats = this._selfStats;
+        if (!stats) return;
+        if (err) stats.uploadFailures += 1;
+        else { stats.uploads += 1; stats.uploadBytes += byteCount }
+        // keep a bounded number of latencies if not being reported
+        if (stats.uploadLatencies.length < 1000) stats.uploadLatencies.push(latency);
+    },
+
+    // count the failed upload attempt, and schedule the retry after the backoff delay
+    // Returns the count of attempts if retry.maxAttempts has been reached, else 0.
+    _scheduleRetry: function _scheduleRetry( attemptsKey ) {
+        var retry = this.retry || {};
+        var attempts = this._uploadAttempts[attemptsKey] || (this._uploadAttempts[attemptsKey] = { count: 0, retryAt: 0 });
+        attempts.count += 1;
+
+        if (attempts.count >= retry.maxAttempts) {
+            delete this._uploadAttempts[attemptsKey];
+            return attempts.count;
+        }
+
+        // exponential backoff, randomly shortened by up to the jitter fraction
+        var initialDelay = retry.initialDelay || 0;
+        var maxDelay = retry.maxDelay || 3600000;
+        var jitter = retry.jitter >= 0 ? retry.jitter : 0.2;
+        var delay = Math.min(maxDelay, initialDelay * Math.pow(2, attempts.count - 1));
+        attempts.retryAt = Date.now() + delay * (1 - jitter * Math.random());
+        return 0;
+    },
+
+    // note the failed upload and schedule the retry, or give up on the batch
+    // Once maxAttempts is reached the batch is moved to the dead-letter directory,
+    // or if there is none, discarded.  Calls back with a message if gave up.
+    _uploadFailed: function _uploadFailed( capturedFileName, uploadError, cb ) {
+        var self = this;
+        var attemptCount = this._scheduleRetry(capturedFileName);
+        if (!attemptCount) return cb();
+
+        var reason = { reason: "upload failed: " + uploadError.message, attempts: attemptCount };
+        // the batches before the checkpoint were uploaded, note where to resume from
+        var checkpointFileName = capturedFileName + ".offset";
+        _readCheckpoint(checkpointFileName, undefined, function(err, uploadedOffset) {
+            if (uploadedOffset > 0) reason.uploadedOffset = uploadedOffset;
+            fs.unlink(checkpointFileName, function() {
+                if (!self.deadLetterDir) {
+                    return fs.unlink(capturedFileName, function(err) {
+                        cb(err, "discarded " + capturedFileName + " after " + attemptCount + " attempts");
+                    });
+                }
+                self._moveToDeadLetter(capturedFileName, reason, function(err, deadName) {
+                    cb(err, "moved " + capturedFileName + " to " + deadName + " after " + attemptCount + " attempts");
                 });
-            }
+            });
+        });
+    },
+
+    // note the failed upload to one of several destinations and schedule its retry, or give up
+    // Giving up saves the part of the file not yet uploaded to the destination to the
+    // dead-letter directory, or if there is none discards it, and the destination is
+    // done with the file.  Calls back with a message and true if gave up.
+    _destinationFailed: function _destinationFailed( capturedFileName, destination, uploadedOffset, uploadError, cb ) {
+        var self = this;
+        var attemptCount = this._scheduleRetry(_attemptsKey(capturedFileName, destination));
+        if (!attemptCount) return cb();
+
+        if (!this.deadLetterDir) {
+            return cb(null, "discarded " + capturedFileName + " for " + destination + " after " + attemptCount + " attempts", true);
+        }
+        var reason = { reason: destination + ": upload failed: " + uploadError.message, attempts: attemptCount, destination: destination };
+        if (uploadedOffset > 0) reason.uploadedOffset = uploadedOffset;
+        var baseName = path.basename(capturedFileName) + '.' + destination;
+        self._copyToDeadLetter(baseName, capturedFileName, uploadedOffset, reason, function(err, deadName) {
+            if (err) return cb(err);
+            cb(null, "saved " + capturedFileName + " for " + destination + " to " + deadName + " after " + attemptCount + " attempts", true);
+        });
+    },
+
+    // move the file into the dead-letter directory, and save the reason alongside it
+    _moveToDeadLetter: function _moveToDeadLetter( fileName, reason, cb ) {
+        var self = this;
+        var deadName = this._deadLetterName(path.basename(fileName));
+        _mkdir(this.deadLetterDir, function(err) {
+            if (err) return cb(err, deadName);
+            fs.rename(fileName, deadName, function(err) {
+                if (err && err.code === 'EXDEV') return _moveFile(fileName, deadName, finish);
+                finish(err);
+            });
         });
+        function finish( err ) {
+            if (err) return cb(err, deadName);
+            self._writeDeadLetterReason(deadName, fileName, reason, function(err) { cb(err, deadName) });
+        }
+    },
+
+    // write the contents into the dead-letter directory, and save the reason alongside it
+    _writeDeadLetter: function _writeDeadLetter( baseName, contents, reason, cb ) {
+        var self = this;
+        var deadName = this._deadLetterName(baseName);
+        _mkdir(this.deadLetterDir, function(err) {
+            if (err) return cb(err, deadName);
+            fs.writeFile(deadName, contents, function(err) {
+                if (err) return cb(err, deadName);
+                self._writeDeadLetterReason(deadName, null, reason, function(err) { cb(err, deadName) });
+            });
+        });
+    },
+
+    // copy the file from the offset on into the dead-letter directory, and save the reason alongside it
+    _copyToDeadLetter: function _copyToDeadLetter( baseName, fileName, offset, reason, cb ) {
+        var self = this;
+        var deadName = this._deadLetterName(baseName);
+        _mkdir(this.deadLetterDir, function(err) {
+            if (err) return cb(err, deadName);
+            _copyFile(fileName, deadName, offset, function(err) {
+                if (err) return cb(err, deadName);
+                self._writeDeadLetterReason(deadName, null, reason, function(err) { cb(err, deadName) });
+            });
+        });
+    },
+
+    _writeDeadLetterReason: function _writeDeadLetterReason( deadName, sourceName, reason, cb ) {
+        var info = { time: new Date().toISOString(), source: sourceName || undefined };
+        for (var k in reason) info[k] = reason[k];
+        fs.writeFile(deadName + '.reason', JSON.stringify(info) + '\n', cb);
+    },
+
+    _deadLetterName: function _deadLetterName( baseName ) {
+        _deadLetterSeq = (_deadLetterSeq + 1) % 1000000;
+        return path.join(this.deadLetterDir, baseName + '.' + Date.now() + '.' + process.pid + '.' + _deadLetterSeq);
     },
 
     // log the memory usage statistics reported by process.memoryUsage()
@@ -325,10 +2051,284 @@ KStats.prototype = {
         if (usage.heapTotal) this.logStat('mem_heap_total', usage.heapTotal, timeString);
         if (usage.heapUsed) this.logStat('mem_heap_used', usage.heapUsed, timeString);
     },
+
+    // log the current values of the process and os stats collectors, if enabled with the collectors option
+    // Called automatically every collectors interval.
+    collectStats: function collectStats( ) {
+        if (!this._collectors) return;
+        var self = this;
+        var timeString = this.makeTimestamp();
+        this._collectors.sample(function(name, value) {
+            self.logStat(name, value, timeString);
+        });
+    },
+
+    // stop the process and os stats collectors
+    stopCollectors: function stopCollectors( ) {
+        if (this._collectors) this._collectors.stop();
+        clearInterval(this._collectTimer);
+        this._collectTimer = null;
+        this._collectors = null;
+    },
+
+    // log the kstats.* stats pipeline health metrics, if enabled with the selfStats option
+    // Counts the lines written, the batches uploaded and failed, the bytes uploaded and
+    // the rejected lines since the last call, and reports the upload latencies, the size
+    // of the journal and of the files pending upload, and the age of the oldest pending.
+    // Called automatically every selfStats interval.  Calls back once the file sizes are also journaled.
+    logSelfStats: function logSelfStats( cb ) {
+        var self = this;
+        cb = cb || _noop;
+        var stats = this._selfStats;
+        if (!stats) return cb();
+        this._selfStats = _newSelfStats(stats.journalFileName, this._rejectionCounts);
+
+        var timeString = this.makeTimestamp();
+        this.logCounter('kstats.lines_written', stats.linesWritten, timeString);
+        if (stats.dropped > 0) this.logCounter('kstats.dropped', stats.dropped, timeString);
+        this.logCounter('kstats.uploads', stats.uploads, timeString);
+        this.logCounter('kstats.upload_failures', stats.uploadFailures, timeString);
+        this.logCounter('kstats.upload_bytes', stats.uploadBytes, timeString);
+        for (var i=0; i<stats.uploadLatencies.length; i++) this.logTiming('kstats.upload_latency', stats.uploadLatencies[i], timeString);
+        for (var reason in this._rejectionCounts) {
+            var rejected = this._rejectionCounts[reason] - (stats.rejectionCounts[reason] || 0);
+            if (rejected > 0) this.logCounter('kstats.rejected', rejected, { timestamp: timeString, tags: { reason: reason } });
+        }
+
+        // the journal and pending files are known once uploading from this process
+        if (!stats.journalFileName) return cb();
+        fs.stat(stats.journalFileName, function(err, stat) {
+            var journalSize = err ? 0 : stat.size;
+            self._listSegments(stats.journalFileName, function(err, pending) {
+                var pendingBytes = 0, oldestMtime = Infinity;
+                for (var j=0; j<pending.length; j++) {
+                    pendingBytes += pending[j].size;
+                    if (pending[j].mtime < oldestMtime) oldestMtime = pending[j].mtime;
+                }
+                self.logGauge('kstats.journal_bytes', journalSize, timeString);
+                self.logGauge('kstats.pending_files', pending.length, timeString);
+                self.logGauge('kstats.pending_bytes', pendingBytes, timeString);
+                self.logGauge('kstats.oldest_pending_age', pending.length ? Math.max(0, Math.round((Date.now() - oldestMtime) / 1000)) : 0, timeString);
+                cb();
+            });
+        });
+    },
+
+    // stop journaling the stats pipeline health metrics
+    stopSelfStats: function stopSelfStats( ) {
+        clearInterval(this._selfStatsTimer);
+        this._selfStatsTimer = null;
+        this._selfStats = null;
+    },
+
+    // stop the timers and the upload loops, and make a last upload of the loop journals
+    // Journals the last aggregation window and selfStats, waits for the upload in progress
+    // and the journal writes to finish, and uploads what is left, all within timeoutMs
+    // (default 5000), then closes the graphite connections.  Calls back with the
+    // {timedOut, errors, leftBehind} report, the files and bytes still not uploaded.
+    // Returns a promise if no callback is given.
+    shutdown: function shutdown( timeoutMs, cb ) {
+        var self = this;
+        if (typeof timeoutMs === 'function') { cb = timeoutMs; timeoutMs = undefined }
+        if (typeof cb !== 'function') return _callbackOrPromise(cb, function(cb) {
+            self.shutdown(timeoutMs, cb || _noop);
+        });
+
+        var loops = this._runningUploadLoops();
+        var report = { timedOut: false, errors: [], leftBehind: [] };
+        var done = false;
+        var deadline = setTimeout(function() { report.timedOut = true; finish() }, timeoutMs || 5000);
+
+        this.stopAggregating();
+        this.stopCollectors();
+        // the journal is flushed and uploaded once the last selfStats are journaled
+        this.logSelfStats(function() { stopLoops(0) });
+        this.stopSelfStats();
+
+        function stopLoops( i ) {
+            if (i >= loops.length) return waitForUpload();
+            loops[i].stop(function() { stopLoops(i + 1) });
+        }
+        function waitForUpload( ) {
+            if (done) return;
+            if (self._uploading) return setTimeout(waitForUpload, 5);
+            // the last upload is made now, even if backing off after failures
+            for (var key in self._uploadAttempts) self._uploadAttempts[key].retryAt = 0;
+            if (typeof self.journal.fflush !== 'function') return uploadLoops(0);
+            self.journal.fflush(function(err) {
+                if (err) report.errors.push(err);
+                uploadLoops(0);
+            });
+        }
+        function uploadLoops( i ) {
+            if (done) return;
+            if (i >= loops.length) return self._flushSummaryCarries(null, function(err) {
+                if (err) report.errors.push(err);
+                finish();
+            });
+            self.uploadStatsFromJournal(loops[i].filename, loops[i].uploadFunc, function(err) {
+                if (err) report.errors.push(err);
+                uploadLoops(i + 1);
+            });
+        }
+        function finish( ) {
+            if (done) return;
+            done = true;
+            clearTimeout(deadline);
+            for (var key in self._graphiteClients) self._graphiteClients[key].close();
+            self._graphiteClients = null;
+            var filenames = [];
+            for (var i=0; i<loops.length; i++) if (filenames.indexOf(loops[i].filename) < 0) filenames.push(loops[i].filename);
+            (function reportNext( i ) {
+                if (i >= filenames.length) return cb(null, report);
+                fs.stat(filenames[i], function(err, stat) {
+                    if (!err && stat.size > 0) report.leftBehind.push({ name: filenames[i], size: stat.size });
+                    self._listSegments(filenames[i], function(err, pending) {
+                        for (var j=0; j<pending.length; j++) report.leftBehind.push({ name: pending[j].name, size: pending[j].size });
+                        reportNext(i + 1);
+                    });
+                });
+            })(0);
+        }
+    },
+
+    // shut down on the exit signals or when the event loop empties, to upload the journals before exiting
+    // Options are {timeout, signals, exit, onShutdown}.  Returns a function that removes the handlers.
+    installExitHandlers: function installExitHandlers( options ) {
+        options = options || {};
+        var self = this;
+        var signals = options.signals || ['SIGTERM', 'SIGINT'];
+        var onShutdown = options.onShutdown || _noop;
+        var handlers = {};
+        var shuttingDown = false;
+
+        function makeHandler( event ) {
+            return function onExitEvent( ) {
+                if (shuttingDown) return;
+                shuttingDown = true;
+                uninstall();
+                self.shutdown(options.timeout, function(err, report) {
+                    onShutdown(err, report);
+                    // exit on the signal, unless someone else is handling it
+                    if (event !== 'beforeExit' && options.exit !== false && process.listeners(event).length === 0) process.kill(process.pid, event);
+                });
+            };
+        }
+        function uninstall( ) {
+            for (var event in handlers) process.removeListener(event, handlers[event]);
+            handlers = {};
+        }
+
+        handlers.beforeExit = makeHandler('beforeExit');
+        for (var i=0; i<signals.length; i++) handlers[signals[i]] = makeHandler(signals[i]);
+        for (var event in handlers) process.on(event, handlers[event]);
+        return uninstall;
+    },
+
+    // journal the stats lines sent by the cluster workers logging to a KStats.WorkerJournal
+    // Returns a function that stops receiving.
+    receiveWorkerStats: function receiveWorkerStats( cluster ) {
+        var self = this;
+        cluster = cluster || require('cluster');
+        var workers = [];
+
+        function onMessage( message ) {
+            if (!message || !Array.isArray(message.kstatsLines)) return;
+            var lines = message.kstatsLines;
+            for (var i=0; i<lines.length; i++) {
+                self.journal.write(self.journalFormat === 'framed' && lines[i][0] !== '~' ? Frames.frame(lines[i]) : lines[i]);
+            }
+            if (self._selfStats) self._selfStats.linesWritten += lines.length;
+        }
+        function listenTo( worker ) {
+            worker.on('message', onMessage);
+            workers.push(worker);
+        }
+
+        for (var id in cluster.workers) listenTo(cluster.workers[id]);
+        cluster.on('fork', listenTo);
+        return function stopReceiving( ) {
+            cluster.removeListener('fork', listenTo);
+            for (var i=0; i<workers.length; i++) workers[i].removeListener('message', onMessage);
+            workers = [];
+        };
+    },
 }
+// KStats emits 'rejection' events
+KStats.prototype.__proto__ = EventEmitter.prototype;
+
+// upload backends, by name
+// A backend has a parse(journalContents, backendConfig) method that returns the
+// data to upload and rejects the unusable lines with this.rejectLine, and an
+// upload(data, backendConfig, cb, batchInfo) method that sends the data and calls back
+// with the error, the response, and any journal lines refused.  The batchInfo.batchId,
+// if any, can be sent as an idempotency key.  Both are called with `this` set to the
+// KStats instance doing the upload.
+var backends = Object.create(null);
+
+// add a named upload backend, for use by uploadToBackend and uploadLoop
+KStats.registerBackend = function registerBackend( name, backend ) {
+    if (!name || typeof name !== 'string') throw new Error("backend name must be a string");
+    if (!backend || typeof backend.parse !== 'function' || typeof backend.upload !== 'function') {
+        throw new Error(name + ": backend must have parse and upload methods");
+    }
+    backends[name] = backend;
+    return KStats;
+}
+
+// remove a named upload backend
+KStats.unregisterBackend = function unregisterBackend( name ) {
+    delete backends[name];
+    return KStats;
+}
+
+// return the registered backend, or undefined if none by that name
+KStats.getBackend = function getBackend( name ) {
+    return backends[name];
+}
+
+// return the names of the registered backends
+KStats.listBackends = function listBackends( ) {
+    return Object.keys(backends);
+}
+
+KStats.registerBackend('stackdriver', {
+    parse: KStats.prototype._parseJournalStackdriverContents,
+    upload: KStats.prototype._sendToStackdriver,
+});
+
+KStats.registerBackend('cloudmonitoring', {
+    parse: KStats.prototype._parseJournalCloudMonitoringContents,
+    upload: KStats.prototype._sendToCloudMonitoring,
+});
+
+KStats.registerBackend('influx', {
+    parse: KStats.prototype._parseJournalInfluxContents,
+    upload: KStats.prototype._sendToInflux,
+});
+
+KStats.registerBackend('graphite', {
+    parse: KStats.prototype._parseJournalGraphiteContents,
+    upload: KStats.prototype._sendToGraphite,
+});
+
+KStats.registerBackend('statsd', {
+    parse: KStats.prototype._parseJournalStatsdContents,
+    upload: KStats.prototype._sendToStatsd,
+});
 
 // expose some functions as class methods
 KStats.lookUpInstanceId = KStats.prototype.lookUpInstanceId;
+KStats.lookUpInstanceIdSync = KStats.prototype.lookUpInstanceIdSync;
+KStats.resolveMetadata = KStats.prototype.resolveMetadata;
+KStats.WorkerJournal = WorkerJournal;
 KStats._tryExecSync = _tryExecSync;
+KStats._packLines = _packLines;
+KStats._batchEnd = _batchEnd;
+KStats._parseJournalLine = _parseJournalLine;
+KStats._readCheckpoint = _readCheckpoint;
+KStats._formatJournalTags = _formatJournalTags;
+KStats.metricTypes = metricTypes;
+KStats.rejectReasons = rejectReasons;
 
 module.exports = KStats;
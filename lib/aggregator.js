@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * in-process stats aggregator
+ *
+ * Buckets the stats by name and type over a time window, and returns the
+ * combined values at the end of the window:  counters are summed, gauges keep
+ * the last value, set members are deduplicated, and samples and timings are
+ * summarized into count, sum, min, max, last and the configured percentiles.
+ */
+
+'use strict'
+
+module.exports = Aggregator;
+
+function Aggregator( options ) {
+    options = options || {};
+    this.interval = options.interval || 10000;
+    this.percentiles = options.percentiles || [];
+    this.buckets = Object.create(null);
+}
+
+Aggregator.prototype = {
+
+    // add the stat to its bucket
+    // Stats are bucketed by name, type and tags; tags is the stat's encoded tags string.
+    // A sampled stat stands for weight (1/rate) stats, default 1, in the counts and sums.
+    // Returns false if the stat was not aggregated, eg a non-numeric value.
+    add: function add( name, value, type, tags, weight ) {
+        if (weight === undefined) weight = 1;
+        if (type !== 's') {
+            value = (typeof value === 'number') ? value : parseFloat(value);
+            if (!(value > -Infinity && value < Infinity)) return false;
+        }
+
+        var key = (type || '') + ' ' + name + ' ' + (tags || '');
+        var bucket = this.buckets[key];
+        if (!bucket) bucket = this.buckets[key] = {
+            name: name, type: type, tags: tags, count: 0, sum: 0, min: Infinity, max: -Infinity, last: 0,
+            values: (this.percentiles.length && (!type || type === 'ms')) ? [] : null,
+            members: (type === 's') ? Object.create(null) : null,
+        };
+
+        switch (type) {
+        case 'c': bucket.sum += value * weight; break;
+        case 'g': bucket.last = value; break;
+        case 's': bucket.members[value] = true; break;
+        default:
+            bucket.count += weight;
+            bucket.sum += value * weight;
+            if (value < bucket.min) bucket.min = value;
+            if (value > bucket.max) bucket.max = value;
+            bucket.last = value;
+            if (bucket.values) bucket.values.push(value);
+            break;
+        }
+        return true;
+    },
+
+    // return the aggregated stats as [name, value, type, tags] tuples, and start a new window
+    drain: function drain( ) {
+        var buckets = this.buckets;
+        this.buckets = Object.create(null);
+
+        var stats = [];
+        for (var key in buckets) {
+            var bucket = buckets[key], name = bucket.name, tags = bucket.tags;
+            switch (bucket.type) {
+            case 'c': stats.push([name, bucket.sum, 'c', tags]); break;
+            case 'g': stats.push([name, bucket.last, 'g', tags]); break;
+            case 's': for (var member in bucket.members) stats.push([name, member, 's', tags]); break;
+            default:
+                stats.push([name + '.count', bucket.count, 'c', tags]);
+                stats.push([name + '.sum', bucket.sum, 'c', tags]);
+                stats.push([name + '.min', bucket.min, 'g', tags]);
+                stats.push([name + '.max', bucket.max, 'g', tags]);
+                stats.push([name + '.last', bucket.last, 'g', tags]);
+                if (bucket.values) {
+                    var values = bucket.values.sort(function(a, b) { return a - b });
+                    for (var i=0; i<this.percentiles.length; i++) {
+                        var p = this.percentiles[i];
+                        stats.push([name + '.p' + p, percentile(values, p), 'g', tags]);
+                    }
+                }
+                break;
+            }
+        }
+        return stats;
+    },
+}
+
+// nearest-rank percentile of the sorted values
+function percentile( sortedValues, p ) {
+    var rank = Math.ceil(p / 100 * sortedValues.length);
+    return sortedValues[rank > 0 ? rank - 1 : 0];
+}
+
+Aggregator.percentile = percentile;
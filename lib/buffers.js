@@ -0,0 +1,26 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * Buffer constructors that work on every supported node version
+ */
+
+'use strict'
+
+module.exports = {
+    // node-v4 inherits Buffer.from from Uint8Array, which does not accept strings
+    fromBuf: (Buffer.from && Buffer.from !== Uint8Array.from) ? Buffer.from : function(str) { return new Buffer(str) },
+    allocBuf: Buffer.allocUnsafe || function(n) { return new Buffer(n) },
+};
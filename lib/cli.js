@@ -0,0 +1,387 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * kstats command-line tool
+ *
+ * Inspects, validates, converts and uploads stats journals with the same
+ * parsing code as the upload backends.  The commands write to io.stdout and
+ * io.stderr and call back with the process exit status:  0 if ok, 1 if lines
+ * were rejected or the upload failed, 2 on usage errors.
+ */
+
+'use strict'
+
+var fs = require('fs');
+var KStats = require('../kstats.js');
+var Frames = require('./frames.js');
+var allocBuf = require('./buffers.js').allocBuf;
+
+module.exports = {
+    main: main,
+    parseArgs: parseArgs,
+};
+
+var usage = [
+    "usage: kstats <command> [options] journal ...",
+    "",
+    "commands:",
+    "  validate   report the malformed, stale and non-numeric lines",
+    "  summary    report the per-metric count, min, max, avg and time range",
+    "  tail       print the end of the journal, and follow it as it grows",
+    "  upload     upload the journal to the backend, like uploadStatsFromJournal",
+    "  convert    print the journal in the format of the --to backend",
+    "",
+    "options:",
+    "  --backend <name>         backend to validate for or upload to (default stackdriver)",
+    "  --to <name>              backend format to convert to",
+    "  --config <file.json>     backend config; its `kstats` section configures the upload",
+    "  --max-age <ms>           override the backend maxAge, -1 for no limit",
+    "  --max-future-skew <ms>   override the backend maxFutureSkew, -1 for no limit",
+    "  --dry-run                print the data the upload would send, do not send it",
+    "  --lines <n>              tail the last n lines (default 10)",
+    "  --interval <ms>          tail poll interval (default 1000)",
+    "  -                        read the journal from stdin",
+].join("\n") + "\n";
+
+var flagOptions = { 'dry-run': true, 'help': true };
+
+// split argv into {command, files, options}
+// Returns an Error if the arguments are not valid.
+function parseArgs( argv ) {
+    var args = { command: argv[0], files: [], options: {} };
+    for (var i=1; i<argv.length; i++) {
+        var arg = argv[i];
+        if (arg.slice(0, 2) !== '--') { args.files.push(arg); continue; }
+        var name = arg.slice(2);
+        if (flagOptions[name]) args.options[name] = true;
+        else if (i + 1 < argv.length) args.options[name] = argv[++i];
+        else return new Error(arg + ": missing value");
+    }
+    return args;
+}
+
+// run the command line, and call back with the exit status
+// Returns the tail follower {stop}, for the tail command.
+function main( argv, io, cb ) {
+    var args = parseArgs(argv);
+    if (args instanceof Error) return usageError(args.message);
+    if (!args.command || args.command === 'help' || args.options.help) {
+        io.stdout.write(usage);
+        return cb(args.command ? 0 : 2);
+    }
+    var command = commands[args.command];
+    if (!command) return usageError(args.command + ": unknown command");
+    if (!args.files.length) return usageError("no journal given");
+
+    var config;
+    try { config = readConfig(args.options) }
+    catch (err) { return usageError(err.message) }
+    var kstats = new KStats(config.kstats);
+
+    return command(kstats, args, config, io, cb);
+
+    function usageError( message ) {
+        io.stderr.write("kstats: " + message + "\n" + usage);
+        cb(2);
+    }
+}
+
+// the backend config from the --config file, with the command-line time limits
+function readConfig( options ) {
+    var config = {};
+    if (options.config) {
+        try { config = JSON.parse(fs.readFileSync(options.config)) }
+        catch (err) { throw new Error(options.config + ": unable to read config: " + err.message) }
+    }
+    if (options['max-age'] !== undefined) config.maxAge = toNumber(options['max-age'], '--max-age');
+    if (options['max-future-skew'] !== undefined) config.maxFutureSkew = toNumber(options['max-future-skew'], '--max-future-skew');
+    return config;
+}
+
+function toNumber( value, optionName ) {
+    var number = Number(value);
+    if (isNaN(number)) throw new Error(value + ": invalid " + optionName);
+    return number;
+}
+
+var commands = {
+    validate: function validate( kstats, args, config, io, cb ) {
+        var backendName = args.options.backend || 'stackdriver';
+        readFiles(args.files, io, function(err, inputs) {
+            if (err) return fail(io, err, cb);
+            var lineCount = 0, rejections = [], counts = {};
+            for (var i=0; i<inputs.length; i++) {
+                lineCount += countLines(inputs[i].contents);
+                var parsed = parseInput(kstats, backendName, inputs[i], config, io);
+                if (!parsed) return cb(1);
+                rejections = rejections.concat(parsed.rejections);
+            }
+            for (var j=0; j<rejections.length; j++) counts[rejections[j].reason] = (counts[rejections[j].reason] || 0) + 1;
+            var countsList = Object.keys(counts).map(function(reason) { return reason + ": " + counts[reason] });
+            io.stdout.write(lineCount + " lines, " + rejections.length + " rejected" + (countsList.length ? " (" + countsList.join(", ") + ")" : "") + "\n");
+            cb(rejections.length ? 1 : 0);
+        });
+    },
+
+    summary: function summary( kstats, args, config, io, cb ) {
+        readFiles(args.files, io, function(err, inputs) {
+            if (err) return fail(io, err, cb);
+            var metrics = Object.create(null), keys = [];
+            var lineCount = 0, malformedCount = 0, first = Infinity, last = -Infinity;
+            for (var i=0; i<inputs.length; i++) {
+                var contents = Frames.unframe(inputs[i].contents, function() { lineCount += 1; malformedCount += 1 });
+                var lines = contents.split("\n");
+                for (var j=0; j<lines.length; j++) {
+                    if (!lines[j]) continue;
+                    lineCount += 1;
+                    var sample = KStats._parseJournalLine(lines[j]);
+                    var timestamp = sample ? kstats.unixTimestamp(sample.timestamp) : NaN;
+                    if (isNaN(timestamp)) { malformedCount += 1; continue; }
+
+                    var key = sample.name + (sample.type ? ' |' + sample.type : '');
+                    var metric = metrics[key];
+                    if (!metric) {
+                        metric = metrics[key] = { name: sample.name, type: sample.type || '', count: 0, sum: 0, min: Infinity, max: -Infinity, first: Infinity, last: -Infinity };
+                        keys.push(key);
+                    }
+                    metric.count += 1;
+                    if (sample.type !== 's') {
+                        metric.sum += sample.value;
+                        if (sample.value < metric.min) metric.min = sample.value;
+                        if (sample.value > metric.max) metric.max = sample.value;
+                    }
+                    if (timestamp < metric.first) metric.first = timestamp;
+                    if (timestamp > metric.last) metric.last = timestamp;
+                    if (timestamp < first) first = timestamp;
+                    if (timestamp > last) last = timestamp;
+                }
+            }
+
+            var rows = [['name', 'type', 'count', 'min', 'max', 'avg', 'first', 'last']];
+            keys.sort();
+            for (var k=0; k<keys.length; k++) {
+                var m = metrics[keys[k]], numeric = m.type !== 's';
+                rows.push([m.name, m.type || '-', String(m.count),
+                    numeric ? String(m.min) : '-', numeric ? String(m.max) : '-', numeric ? String(round(m.sum / m.count)) : '-',
+                    isoTime(m.first), isoTime(m.last)]);
+            }
+            io.stdout.write(formatTable(rows));
+            io.stdout.write(lineCount + " lines, " + keys.length + " metrics" + (malformedCount ? ", " + malformedCount + " malformed" : "") +
+                (keys.length ? ", from " + isoTime(first) + " to " + isoTime(last) : "") + "\n");
+            cb(0);
+        });
+    },
+
+    // print the last lines of the journal, then poll it for the lines appended
+    // The journal is reopened from the start when it is captured for upload and recreated.
+    tail: function tail( kstats, args, config, io, cb ) {
+        var filename = args.files[0];
+        var lineCount = args.options.lines !== undefined ? Number(args.options.lines) : 10;
+        var interval = Number(args.options.interval) || 1000;
+        var position = 0, ino = null, timer = null, reading = false;
+
+        var contents;
+        try { contents = fs.readFileSync(filename) }
+        catch (err) { contents = allocBuf(0) }
+        try { ino = fs.statSync(filename).ino } catch (err) { }
+        position = contents.length;
+        var lines = contents.toString().split("\n");
+        if (lines[lines.length - 1] === '') lines.pop();
+        if (lineCount > 0 && lines.length) io.stdout.write(lines.slice(-lineCount).join("\n") + "\n");
+
+        timer = setInterval(readAppended, interval);
+
+        function readAppended( ) {
+            if (reading) return;
+            var stat;
+            try { stat = fs.statSync(filename) }
+            catch (err) { return }
+            if (stat.ino !== ino || stat.size < position) { ino = stat.ino; position = 0 }
+            if (stat.size <= position) return;
+
+            reading = true;
+            fs.open(filename, 'r', function(err, fd) {
+                if (err) { reading = false; return }
+                var buf = allocBuf(stat.size - position);
+                fs.read(fd, buf, 0, buf.length, position, function(err, nbytes) {
+                    fs.close(fd, function() {});
+                    reading = false;
+                    if (err || !timer) return;
+                    position += nbytes;
+                    io.stdout.write(buf.slice(0, nbytes).toString());
+                });
+            });
+        }
+
+        return {
+            stop: function stop( ) {
+                if (!timer) return;
+                clearInterval(timer);
+                timer = null;
+                cb(0);
+            },
+        };
+    },
+
+    upload: function upload( kstats, args, config, io, cb ) {
+        var backendName = args.options.backend || 'stackdriver';
+        if (!KStats.getBackend(backendName)) return fail(io, new Error(backendName + ": stats upload not supported"), cb);
+        var journalFileName = args.files[0];
+
+        if (args.options['dry-run']) return kstats._listSegments(journalFileName, function(err, segments) {
+            // the not yet uploaded part of the pending files and of the journal, without capturing it
+            var inputs = [], itemCount = 0;
+            var filenames = segments.map(function(seg) { return seg.name }).concat(journalFileName);
+            (function readNext( i ) {
+                if (i >= filenames.length) return printData();
+                var contents, ino;
+                try {
+                    contents = fs.readFileSync(filenames[i]);
+                    ino = fs.statSync(filenames[i]).ino;
+                }
+                catch (err) { return readNext(i + 1) }
+                if (filenames[i] === journalFileName) return addInput(0);
+                KStats._readCheckpoint(filenames[i] + ".offset", ino, function(err, offset) { addInput(offset) });
+
+                function addInput( offset ) {
+                    inputs.push({ file: filenames[i], contents: contents.slice(offset).toString(), lineNumber: countLines(contents.slice(0, offset).toString()) + 1 });
+                    readNext(i + 1);
+                }
+            })(0);
+
+            function printData( ) {
+                for (var j=0; j<inputs.length; j++) {
+                    var parsed = parseInput(kstats, backendName, inputs[j], config, io);
+                    if (!parsed) return cb(1);
+                    writeData(io, parsed.data);
+                    itemCount += parsed.data.length;
+                }
+                io.stderr.write("dry run: would upload " + itemCount + " items from " + inputs.length + " files to " + backendName + "\n");
+                cb(0);
+            }
+        });
+
+        var rejectedCount = 0;
+        kstats.uploadStatsFromJournal(journalFileName, function(contents, callback, batchInfo) {
+            kstats.uploadToBackend(backendName, contents, config, function(err, response, rejections) {
+                writeRejections(io, rejections);
+                rejectedCount += rejections ? rejections.length : 0;
+                callback(err, response);
+            }, batchInfo);
+        }, function(err) {
+            if (err) return fail(io, err, cb);
+            io.stderr.write("uploaded " + journalFileName + " to " + backendName + (rejectedCount ? ", " + rejectedCount + " lines rejected" : "") + "\n");
+            cb(rejectedCount ? 1 : 0);
+        });
+    },
+
+    convert: function convert( kstats, args, config, io, cb ) {
+        var backendName = args.options.to;
+        if (!backendName) return fail(io, new Error("convert needs the --to backend"), cb, 2);
+        readFiles(args.files, io, function(err, inputs) {
+            if (err) return fail(io, err, cb);
+            for (var i=0; i<inputs.length; i++) {
+                var parsed = parseInput(kstats, backendName, inputs[i], config, io);
+                if (!parsed) return cb(1);
+                writeData(io, parsed.data);
+            }
+            cb(0);
+        });
+    },
+};
+
+// read the files, "-" is stdin, and call back with their {file, contents, lineNumber}
+function readFiles( filenames, io, cb ) {
+    var inputs = [];
+    (function readNext( i ) {
+        if (i >= filenames.length) return cb(null, inputs);
+        if (filenames[i] === '-') return readStream(io.stdin, function(err, contents) {
+            if (err) return cb(err);
+            inputs.push({ file: 'stdin', contents: contents, lineNumber: 1 });
+            readNext(i + 1);
+        });
+        fs.readFile(filenames[i], function(err, contents) {
+            if (err) return cb(err);
+            inputs.push({ file: filenames[i], contents: contents.toString(), lineNumber: 1 });
+            readNext(i + 1);
+        });
+    })(0);
+}
+
+function readStream( stream, cb ) {
+    var chunks = [];
+    stream.on('data', function(chunk) { chunks.push(String(chunk)) });
+    stream.on('error', cb);
+    stream.on('end', function() { cb(null, chunks.join('')) });
+    if (stream.resume) stream.resume();
+}
+
+// parse the input for the backend and report the rejected lines to stderr
+// Returns the {data, rejections}, or null if the input could not be parsed.
+function parseInput( kstats, backendName, input, config, io ) {
+    var parsed;
+    try { parsed = kstats.parseForBackend(backendName, input.contents, config, { file: input.file, lineNumber: input.lineNumber }) }
+    catch (err) {
+        io.stderr.write("kstats: " + input.file + ": " + err.message + "\n");
+        return null;
+    }
+    writeRejections(io, parsed.rejections);
+    return parsed;
+}
+
+// report the rejected lines as "file:line: REASON: text"
+function writeRejections( io, rejections ) {
+    for (var i=0; i<(rejections || []).length; i++) {
+        var r = rejections[i];
+        io.stderr.write(r.file + ":" + (r.lineNumber || '?') + ": " + r.reason + ": " + r.line + "\n");
+    }
+}
+
+// print the backend data one item per line, objects as json
+function writeData( io, data ) {
+    for (var i=0; i<data.length; i++) io.stdout.write((typeof data[i] === 'string' ? data[i] : JSON.stringify(data[i])) + "\n");
+}
+
+function fail( io, err, cb, status ) {
+    io.stderr.write("kstats: " + err.message + (err.debug ? ": " + err.debug : "") + "\n");
+    cb(status || 1);
+}
+
+function countLines( contents ) {
+    var count = 0;
+    var lines = contents.split("\n");
+    for (var i=0; i<lines.length; i++) if (lines[i]) count += 1;
+    return count;
+}
+
+function round( value ) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function isoTime( unixTimestamp ) {
+    return new Date(unixTimestamp * 1000).toISOString();
+}
+
+// format the rows as left-aligned space-separated columns
+function formatTable( rows ) {
+    var widths = [];
+    for (var i=0; i<rows.length; i++) {
+        for (var j=0; j<rows[i].length; j++) widths[j] = Math.max(widths[j] || 0, rows[i][j].length);
+    }
+    return rows.map(function(row) {
+        return row.map(function(cell, j) { return j < row.length - 1 ? cell + new Array(widths[j] - cell.length + 1).join(' ') : cell }).join('  ');
+    }).join("\n") + "\n";
+}
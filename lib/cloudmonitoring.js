@@ -0,0 +1,268 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * Google Cloud Monitoring (v3) custom metrics uploader
+ *
+ * Converts stats points into projects.timeSeries.create requests, and sends them
+ * authenticated with an access token obtained with a service account key.
+ *
+ * https://cloud.google.com/monitoring/api/ref_v3/rest/v3/projects.timeSeries/create
+ * https://developers.google.com/identity/protocols/oauth2/service-account#httprest
+ */
+
+'use strict'
+
+var fs = require('fs');
+var url = require('url');
+var request = require('./request.js');
+var fromBuf = require('./buffers.js').fromBuf;
+var crypto = require('crypto');
+
+// the api accepts at most 200 time series per request
+var MAX_SERIES_PER_REQUEST = 200;
+var SCOPE = 'https://www.googleapis.com/auth/monitoring.write';
+var TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+module.exports = {
+    buildTimeSeries: buildTimeSeries,
+    batchTimeSeries: batchTimeSeries,
+    createTimeSeries: createTimeSeries,
+    getAccessToken: getAccessToken,
+    makeJwt: makeJwt,
+    loadCredentials: loadCredentials,
+    MAX_SERIES_PER_REQUEST: MAX_SERIES_PER_REQUEST,
+};
+
+// convert the {name, value, collected_at, tags, lines} points into TimeSeries objects, one point each
+// defaults are the uploading host {hostname, instance}.  The journal lines of the point, if
+// given, are kept in the series as the non-enumerable `lines`, to report the series refused.
+function buildTimeSeries( points, config, defaults ) {
+    var projectId = config.projectId || (loadCredentials(config) || {}).project_id;
+    var resource = monitoredResource(projectId, config, defaults);
+    var typePrefix = config.metricTypePrefix || 'custom.googleapis.com/';
+
+    var series = [];
+    for (var i=0; i<points.length; i++) {
+        var point = points[i];
+        series.push({
+            metric: {
+                type: typePrefix + String(point.name).replace(/[^a-zA-Z0-9_.\/]/g, '_'),
+                labels: metricLabels(point.tags),
+            },
+            resource: resource,
+            metricKind: 'GAUGE',
+            valueType: 'DOUBLE',
+            points: [{
+                interval: { endTime: new Date(point.collected_at * 1000).toISOString() },
+                value: { doubleValue: point.value },
+            }],
+        });
+        Object.defineProperty(series[i], 'lines', { value: point.lines || [] });
+    }
+    return series;
+}
+
+// the host the stats are attributed to:  the configured resource, else the
+// gce instance if the instance and zone are known, else a generic node
+function monitoredResource( projectId, config, defaults ) {
+    if (config.resource) return config.resource;
+    if (defaults.instance && config.zone) {
+        return { type: 'gce_instance', labels: { project_id: projectId, instance_id: defaults.instance, zone: config.zone } };
+    }
+    return {
+        type: 'generic_node',
+        labels: {
+            project_id: projectId,
+            location: config.location || 'global',
+            namespace: config.namespace || 'kstats',
+            node_id: defaults.instance || defaults.hostname,
+        },
+    };
+}
+
+// label keys must be lowercase [a-z][a-z0-9_]*, values strings
+function metricLabels( tags ) {
+    var labels = {};
+    for (var k in tags) {
+        var key = String(k).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+        if (!/^[a-z]/.test(key)) key = 'l_' + key;
+        labels[key] = String(tags[k]).slice(0, 1024);
+    }
+    return labels;
+}
+
+// split the time series into requests of at most maxPerRequest series each,
+// with at most one point per series per request, and each series' points in time order
+function batchTimeSeries( series, maxPerRequest ) {
+    maxPerRequest = maxPerRequest || MAX_SERIES_PER_REQUEST;
+    var sorted = series.slice(0).sort(function(a, b) {
+        return a.points[0].interval.endTime < b.points[0].interval.endTime ? -1 : a.points[0].interval.endTime > b.points[0].interval.endTime ? 1 : 0;
+    });
+
+    var batches = [];
+    var nextBatchIndex = Object.create(null);
+    for (var i=0; i<sorted.length; i++) {
+        var key = JSON.stringify([sorted[i].metric, sorted[i].resource]);
+        var ix = nextBatchIndex[key] || 0;
+        while (batches[ix] && batches[ix].length >= maxPerRequest) ix += 1;
+        if (!batches[ix]) batches[ix] = [];
+        batches[ix].push(sorted[i]);
+        nextBatchIndex[key] = ix + 1;
+    }
+    return batches;
+}
+
+// send the time series to the api, in as many requests as needed
+// Calls back with the count of time series sent and the journal lines of the series
+// refused for being out of order, duplicates or too frequent, or the error and response body.
+// The other series of a request with refused series are still written by the api.
+function createTimeSeries( series, config, cb ) {
+    var projectId = config.projectId || (loadCredentials(config) || {}).project_id;
+    if (!projectId) return cb(new Error("missing projectId"));
+    if (series.length <= 0) return cb(null, 0);
+
+    var batches = batchTimeSeries(series, config.maxSeriesPerRequest);
+    getAccessToken(config, function(err, accessToken) {
+        if (err) return cb(err, "unable to get access token");
+        var sentCount = 0;
+        var refusedLines = [];
+        (function sendNext( ) {
+            if (!batches.length) return cb(null, sentCount, refusedLines);
+            var batch = batches.shift();
+            var body = JSON.stringify({ timeSeries: batch });
+            var uri = {
+                host: config.host || 'monitoring.googleapis.com',
+                port: config.port || 443,
+                path: '/v3/projects/' + encodeURIComponent(projectId) + '/timeSeries',
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': 'Bearer ' + accessToken,
+                    'Content-Length': Buffer.byteLength(body),
+                },
+                timeout: config.timeout || 10000,
+            };
+            request(uri, body, function(err, res) {
+                var refused = (err && res && res.statusCode === 400) ? refusedSeriesIndexes(res.body) : null;
+                if (err && !refused) return cb(err, res && res.body);
+                for (var i=0; refused && i<refused.length; i++) {
+                    if (batch[refused[i]]) refusedLines.push.apply(refusedLines, batch[refused[i]].lines);
+                }
+                sentCount += batch.length - (refused ? refused.length : 0);
+                sendNext();
+            });
+        })();
+    });
+}
+
+// the indexes of the series the api refused as out of order, duplicate or written more
+// often than the sampling period, or null if the error response is for any other reason
+// The refusals are listed in the error message as "<reason>: timeSeries[0,2-3]; ..."
+// or "Field timeSeries[1] had an invalid value: <reason>".
+function refusedSeriesIndexes( responseBody ) {
+    var message;
+    try { message = JSON.parse(responseBody).error.message }
+    catch (err) { return null }
+    if (typeof message !== 'string') return null;
+    message = message.replace(/^One or more TimeSeries could not be written: /, '');
+
+    var indexes = [];
+    var errors = message.split('; ');
+    for (var i=0; i<errors.length; i++) {
+        if (!/written in order|duplicate|more frequently than the maximum sampling period/i.test(errors[i])) return null;
+        var listed = errors[i].match(/timeSeries\[([0-9,\- ]+)\]/);
+        if (!listed) return null;
+        var ranges = listed[1].split(',');
+        for (var j=0; j<ranges.length; j++) {
+            var ends = ranges[j].split('-');
+            for (var ix = +ends[0]; ix <= +ends[ends.length - 1]; ix++) indexes.push(ix);
+        }
+    }
+    return indexes.length ? indexes : null;
+}
+
+// cache of access tokens by service account
+var tokenCache = {};
+
+// obtain an oauth2 access token for the service account, or use the configured accessToken
+function getAccessToken( config, cb ) {
+    if (config.accessToken) return cb(null, config.accessToken);
+    var credentials;
+    try { credentials = loadCredentials(config) }
+    catch (err) { return cb(err) }
+    if (!credentials || !credentials.client_email || !credentials.private_key) {
+        return cb(new Error("missing service account credentials"));
+    }
+
+    var tokenUri = config.tokenUri || credentials.token_uri || TOKEN_URI;
+    var cacheKey = credentials.client_email + ' ' + tokenUri;
+    var cached = tokenCache[cacheKey];
+    if (cached && cached.expiresAt > Date.now()) return cb(null, cached.token);
+
+    var assertion;
+    try { assertion = makeJwt(credentials, SCOPE, tokenUri, Date.now()) }
+    catch (err) { return cb(err) }
+
+    var body = 'grant_type=' + encodeURIComponent('urn:ietf:params:oauth:grant-type:jwt-bearer') + '&assertion=' + assertion;
+    var parts = url.parse(tokenUri);
+    var uri = {
+        protocol: parts.protocol,
+        host: parts.hostname,
+        port: parts.port || (parts.protocol === 'http:' ? 80 : 443),
+        path: parts.path,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(body),
+        },
+        timeout: config.timeout || 10000,
+    };
+    request(uri, body, function(err, res) {
+        if (err) return cb(err);
+        var reply;
+        try { reply = JSON.parse(res.body) }
+        catch (e) { return cb(new Error("unable to parse access token response: " + e.message)) }
+        if (!reply.access_token) return cb(new Error("no access token returned"));
+        // renew the token a minute before it expires
+        var expiresIn = (reply.expires_in || 3600) * 1000;
+        tokenCache[cacheKey] = { token: reply.access_token, expiresAt: Date.now() + expiresIn - 60000 };
+        cb(null, reply.access_token);
+    });
+}
+
+// build the signed RS256 JWT assertion that requests an access token with the given scope
+function makeJwt( credentials, scope, audience, nowMs ) {
+    var now = Math.floor(nowMs / 1000);
+    var header = { alg: 'RS256', typ: 'JWT' };
+    var claims = { iss: credentials.client_email, scope: scope, aud: audience, iat: now, exp: now + 3600 };
+    var unsigned = base64url(JSON.stringify(header)) + '.' + base64url(JSON.stringify(claims));
+    var signer = crypto.createSign('RSA-SHA256');
+    signer.update(unsigned);
+    return unsigned + '.' + base64url(signer.sign(credentials.private_key));
+}
+
+// the service account key, either from config.credentials or the JSON config.keyFile
+function loadCredentials( config ) {
+    if (config.credentials) return config.credentials;
+    if (!config.keyFile) return null;
+    if (!config._loadedCredentials) config._loadedCredentials = JSON.parse(fs.readFileSync(config.keyFile));
+    return config._loadedCredentials;
+}
+
+function base64url( strOrBuf ) {
+    var buf = Buffer.isBuffer(strOrBuf) ? strOrBuf : fromBuf(strOrBuf);
+    return buf.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * process and os stats collectors
+ *
+ * Each collector samples one aspect of the process or host, and reports the
+ * values by name.  Collectors that rely on features missing from the running
+ * version of node are skipped.
+ */
+
+'use strict'
+
+var os = require('os');
+var fs = require('fs');
+var perfHooks;
+try { perfHooks = require('perf_hooks') } catch (err) { perfHooks = {} }
+
+module.exports = Collectors;
+
+function Collectors( options ) {
+    options = options || {};
+    this.interval = options.interval || 10000;
+    this.collectors = {};
+    for (var i=0; i<Collectors.names.length; i++) {
+        var name = Collectors.names[i];
+        if (options[name] === false || (options.only && options.only.indexOf(name) < 0)) continue;
+        var collector = collectorTypes[name]();
+        if (collector) this.collectors[name] = collector;
+    }
+}
+
+// the collectors, in the order they report
+Collectors.names = ['eventLoop', 'gc', 'handles', 'cpu', 'memory', 'os', 'fds'];
+
+Collectors.prototype = {
+    interval: null,
+    collectors: null,
+
+    // report the current values of every enabled collector to report(name, value)
+    // The values of rates and totals are those since the previous sample.
+    sample: function sample( report ) {
+        for (var name in this.collectors) this.collectors[name].sample(report);
+    },
+
+    // stop the collectors that watch the process in the background
+    stop: function stop( ) {
+        for (var name in this.collectors) if (this.collectors[name].stop) this.collectors[name].stop();
+        this.collectors = {};
+    },
+};
+
+var collectorTypes = {
+    // event loop delay percentiles in milliseconds, and the fraction of time the loop was busy
+    eventLoop: function( ) {
+        if (!perfHooks.monitorEventLoopDelay) return null;
+        var histogram = perfHooks.monitorEventLoopDelay({ resolution: 10 });
+        histogram.enable();
+        var performance = perfHooks.performance;
+        var utilization = performance && performance.eventLoopUtilization ? performance.eventLoopUtilization() : null;
+        return {
+            sample: function( report ) {
+                // the histogram is in nanoseconds, and has no values before its first measurement
+                if (histogram.max > 0) {
+                    report('eventloop_lag_mean', +(histogram.mean / 1e6).toFixed(3));
+                    report('eventloop_lag_max', +(histogram.max / 1e6).toFixed(3));
+                    report('eventloop_lag_p99', +(histogram.percentile(99) / 1e6).toFixed(3));
+                }
+                histogram.reset();
+                if (utilization) {
+                    var current = performance.eventLoopUtilization();
+                    report('eventloop_utilization', +performance.eventLoopUtilization(current, utilization).utilization.toFixed(4));
+                    utilization = current;
+                }
+            },
+            stop: function( ) {
+                histogram.disable();
+            },
+        };
+    },
+
+    // count and durations in milliseconds of the garbage collection pauses
+    gc: function( ) {
+        if (!perfHooks.PerformanceObserver) return null;
+        var count = 0, total = 0, max = 0;
+        var observer = new perfHooks.PerformanceObserver(function(list) {
+            var entries = list.getEntries();
+            for (var i=0; i<entries.length; i++) {
+                count += 1;
+                total += entries[i].duration;
+                if (entries[i].duration > max) max = entries[i].duration;
+            }
+        });
+        try { observer.observe({ entryTypes: ['gc'] }) }
+        catch (err) { return null }
+        return {
+            sample: function( report ) {
+                report('gc_count', count);
+                report('gc_pause_total', +total.toFixed(3));
+                report('gc_pause_max', +max.toFixed(3));
+                count = total = max = 0;
+            },
+            stop: function( ) {
+                observer.disconnect();
+            },
+        };
+    },
+
+    // count of the handles (sockets, timers, servers) and requests keeping the process alive
+    handles: function( ) {
+        if (typeof process._getActiveHandles !== 'function') return null;
+        return {
+            sample: function( report ) {
+                report('active_handles', process._getActiveHandles().length);
+                if (typeof process._getActiveRequests === 'function') report('active_requests', process._getActiveRequests().length);
+            },
+        };
+    },
+
+    // milliseconds of user and system cpu time used
+    cpu: function( ) {
+        if (typeof process.cpuUsage !== 'function') return null;
+        var previous = process.cpuUsage();
+        return {
+            sample: function( report ) {
+                var usage = process.cpuUsage(previous);
+                previous = process.cpuUsage();
+                report('cpu_user', Math.round(usage.user / 1000));
+                report('cpu_system', Math.round(usage.system / 1000));
+            },
+        };
+    },
+
+    // memory usage, including outside the v8 heap:  buffers and objects of native addons
+    memory: function( ) {
+        return {
+            sample: function( report ) {
+                var usage = process.memoryUsage();
+                report('mem_rss', usage.rss);
+                report('mem_heap_total', usage.heapTotal);
+                report('mem_heap_used', usage.heapUsed);
+                if (usage.external !== undefined) report('mem_external', usage.external);
+                if (usage.arrayBuffers !== undefined) report('mem_array_buffers', usage.arrayBuffers);
+            },
+        };
+    },
+
+    // host load averages and memory
+    os: function( ) {
+        return {
+            sample: function( report ) {
+                var load = os.loadavg();
+                report('os_load_1m', +load[0].toFixed(2));
+                report('os_load_5m', +load[1].toFixed(2));
+                report('os_load_15m', +load[2].toFixed(2));
+                report('os_mem_free', os.freemem());
+                report('os_mem_total', os.totalmem());
+            },
+        };
+    },
+
+    // count of open file descriptors, on systems with /proc
+    fds: function( ) {
+        try { fs.readdirSync('/proc/self/fd') }
+        catch (err) { return null }
+        return {
+            sample: function( report ) {
+                // reading the directory opens one more descriptor
+                try { report('open_fds', fs.readdirSync('/proc/self/fd').length - 1) }
+                catch (err) { }
+            },
+        };
+    },
+};
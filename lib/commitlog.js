@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * upload commit log
+ *
+ * Remembers the ids of the batches delivered to each destination, so a batch
+ * uploaded just before the process died is not uploaded again on restart.  The
+ * log is a file of "<batchId> <destination>" lines; only the most recent
+ * maxEntries are kept, older batches are already past the upload checkpoint.
+ */
+
+'use strict'
+
+var fs = require('fs');
+
+module.exports = CommitLog;
+
+function CommitLog( filename, options ) {
+    options = options || {};
+    this.filename = filename;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = null;
+    this.committed = null;
+}
+
+CommitLog.prototype = {
+    filename: null,
+    maxEntries: null,
+    entries: null,
+    committed: null,
+
+    // read the log, if not already read
+    load: function load( cb ) {
+        if (this.entries) return cb();
+        var self = this;
+        fs.readFile(this.filename, function(err, contents) {
+            if (!self.entries) self._parse(err ? '' : String(contents));
+            cb();
+        });
+    },
+
+    // test whether the batch was already delivered to the destination
+    // The log must have been loaded.
+    has: function has( batchId, destination ) {
+        return !!this.committed && this.committed[batchId + ' ' + destination] === true;
+    },
+
+    // record that the batch was delivered to the destination
+    // The log is compacted to the newest maxEntries once it grows to twice that.
+    add: function add( batchId, destination, cb ) {
+        var self = this;
+        this.load(function() { self._add(batchId, destination, cb) });
+    },
+
+    _add: function _add( batchId, destination, cb ) {
+        var entry = batchId + ' ' + destination;
+        if (this.committed[entry]) return cb();
+        this.committed[entry] = true;
+        this.entries.push(entry);
+        if (this.entries.length < 2 * this.maxEntries) return fs.appendFile(this.filename, entry + "\n", cb);
+
+        var dropped = this.entries.splice(0, this.entries.length - this.maxEntries);
+        for (var i=0; i<dropped.length; i++) delete this.committed[dropped[i]];
+        var tempfile = this.filename + ".tmp";
+        var filename = this.filename;
+        fs.writeFile(tempfile, this.entries.join("\n") + "\n", function(err) {
+            if (err) return cb(err);
+            fs.rename(tempfile, filename, cb);
+        });
+    },
+
+    _parse: function _parse( contents ) {
+        this.entries = [];
+        this.committed = {};
+        var lines = contents.split("\n");
+        for (var i=0; i<lines.length; i++) {
+            if (!lines[i] || this.committed[lines[i]]) continue;
+            this.committed[lines[i]] = true;
+            this.entries.push(lines[i]);
+        }
+    },
+}
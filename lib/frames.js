@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * checksummed journal record framing
+ *
+ * A framed record is the journal line prefixed with its length in bytes and the
+ * crc32 of its bytes, "~<length>:<crc32> <line>\n".  Records torn by a crash
+ * mid-write fail the length or checksum test; the records after them are found
+ * again at the next "~" that starts a valid frame, even if merged into the same
+ * line.  Unframed lines are passed through as-is, so framed and plain journal
+ * lines can be mixed.
+ */
+
+'use strict'
+
+var fromBuf = require('./buffers.js').fromBuf;
+
+module.exports = {
+    frame: frame,
+    unframe: unframe,
+    isFramed: isFramed,
+    crc32: crc32,
+};
+
+var crcTable = (function() {
+    var table = [];
+    for (var n=0; n<256; n++) {
+        var c = n;
+        for (var k=0; k<8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// the crc32 of the bytes buf[start .. end-1], as used by zlib
+function crc32( buf, start, end ) {
+    var crc = 0xFFFFFFFF;
+    for (var i=start || 0; i<(end === undefined ? buf.length : end); i++) crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function hex8( n ) {
+    var str = n.toString(16);
+    return '00000000'.slice(str.length) + str;
+}
+
+// frame the newline-terminated journal line
+function frame( line ) {
+    var payload = fromBuf(line.slice(-1) === "\n" ? line.slice(0, -1) : line);
+    return '~' + payload.length + ':' + hex8(crc32(payload)) + ' ' + payload.toString() + "\n";
+}
+
+// test whether the journal contents contain any framed records
+function isFramed( contents ) {
+    return contents[0] === '~' || contents.indexOf("\n~") >= 0;
+}
+
+// replace the framed records in the journal contents with their lines
+// The corrupt bytes found in a framed line are passed to onCorrupt(text, lineIndex, reason),
+// with reason CORRUPT, or TRUNCATED if at the end of contents that are not newline-terminated.
+// Lines keep their index in the contents, lines holding no valid record become empty.
+function unframe( contents, onCorrupt ) {
+    var lines = contents.split("\n");
+    for (var i=0; i<lines.length; i++) {
+        if (lines[i][0] !== '~') continue;
+        var atTail = (i === lines.length - 1);
+        lines[i] = _unframeLine(lines[i], function(text, atEnd) {
+            onCorrupt(text, i, (atTail && atEnd) ? 'TRUNCATED' : 'CORRUPT');
+        });
+    }
+    return lines.join("\n");
+}
+
+// extract the records from the line, reporting the bytes between them as corrupt
+function _unframeLine( line, onCorrupt ) {
+    var buf = fromBuf(line);
+    var records = [];
+    var pos = 0, junkStart = -1;
+
+    while (pos < buf.length) {
+        var range = buf[pos] === 0x7E ? _frameRange(buf, pos) : null;
+        if (!range) {
+            // resync at the next frame marker
+            if (junkStart < 0) junkStart = pos;
+            pos = _indexOf(buf, 0x7E, pos + 1);
+            continue;
+        }
+        if (junkStart >= 0) onCorrupt(buf.slice(junkStart, pos).toString(), false);
+        junkStart = -1;
+        records.push(buf.slice(range.payloadStart, range.payloadEnd).toString());
+        pos = range.payloadEnd;
+    }
+    if (junkStart >= 0) onCorrupt(buf.slice(junkStart).toString(), true);
+
+    return records.join("\n");
+}
+
+// parse the frame "~<length>:<crc32> <payload>" at buf[pos], return the payload
+// {payloadStart, payloadEnd} offsets, or null if not a valid frame
+// A valid frame is followed by the end of the line or by another frame.
+function _frameRange( buf, pos ) {
+    var i = pos + 1, length = 0;
+    while (i < buf.length && buf[i] >= 0x30 && buf[i] <= 0x39 && i - pos <= 10) length = length * 10 + buf[i++] - 0x30;
+    if (i === pos + 1 || buf[i] !== 0x3A) return null;
+    var crcHex = buf.slice(i + 1, i + 9).toString();
+    if (!/^[0-9a-f]{8}$/.test(crcHex) || buf[i + 9] !== 0x20) return null;
+
+    var payloadStart = i + 10, payloadEnd = payloadStart + length;
+    if (payloadEnd > buf.length || (payloadEnd < buf.length && buf[payloadEnd] !== 0x7E)) return null;
+    if (crc32(buf, payloadStart, payloadEnd) !== parseInt(crcHex, 16)) return null;
+    return { payloadStart: payloadStart, payloadEnd: payloadEnd };
+}
+
+function _indexOf( buf, ch, pos ) {
+    while (pos < buf.length && buf[pos] !== ch) pos++;
+    return pos;
+}
@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * graphite plaintext protocol tcp client
+ *
+ * Keeps a connection open to the carbon server, and reconnects on the next send
+ * after the connection errored out or was closed by the server.
+ *
+ * http://graphite.readthedocs.io/en/latest/feeding-carbon.html
+ */
+
+'use strict'
+
+var net = require('net');
+
+module.exports = GraphiteClient;
+
+function GraphiteClient( options ) {
+    options = options || {};
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 2003;
+    this.timeout = options.timeout || 10000;
+    this.socket = null;
+}
+
+GraphiteClient.prototype = {
+    host: null,
+    port: null,
+    timeout: null,
+    socket: null,
+
+    // write the data to the server, connecting first if not connected
+    // Calls back once the data has been handed off to the connection.
+    send: function send( data, cb ) {
+        this._connect(function(err, socket) {
+            if (err) return cb(err);
+
+            var returned = false;
+            function returnOnce( err ) {
+                socket.removeListener('error', returnOnce);
+                socket.removeListener('close', onClose);
+                if (returned) return;
+                returned = true;
+                cb(err);
+            }
+            function onClose( ) {
+                returnOnce(new Error("graphite connection closed"));
+            }
+            socket.on('error', returnOnce);
+            socket.on('close', onClose);
+            socket.write(data, function(err) { returnOnce(err) });
+        });
+    },
+
+    // close the connection, if open
+    close: function close( ) {
+        if (this.socket) this.socket.end();
+        this.socket = null;
+    },
+
+    _connect: function _connect( cb ) {
+        var self = this;
+        if (this.socket) return cb(null, this.socket);
+
+        var socket = net.connect({ host: this.host, port: this.port });
+        var connected = false;
+        // do not keep the process running just to hold the connection open
+        if (socket.unref) socket.unref();
+        socket.setTimeout(this.timeout, function() {
+            if (!connected) socket.destroy(new Error("graphite connect timeout"));
+        });
+        socket.on('connect', function() {
+            connected = true;
+            socket.setTimeout(0);
+            self.socket = socket;
+            cb(null, socket);
+        });
+        socket.on('error', function(err) {
+            // the next send will reconnect
+            if (self.socket === socket) self.socket = null;
+            if (!connected) { connected = true; cb(err) }
+        });
+        socket.on('close', function() {
+            if (self.socket === socket) self.socket = null;
+        });
+        // carbon does not reply, but drain anything sent so the socket does not stall
+        socket.on('data', function() {});
+    },
+};
@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * log-bucketed histogram for approximate percentiles
+ *
+ * Values are counted in exponentially sized buckets, so the memory used depends
+ * on the range of the values, not on how many there are.  Percentiles are
+ * accurate to within the configured relative error.  Histograms with the same
+ * accuracy can be merged, so partial histograms can be combined.
+ */
+
+'use strict'
+
+module.exports = LogHistogram;
+
+function LogHistogram( options ) {
+    options = options || {};
+    this.relativeAccuracy = options.relativeAccuracy || 0.01;
+    this.gamma = (1 + this.relativeAccuracy) / (1 - this.relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+
+    this.positive = Object.create(null);        // counts of positive values by bucket index
+    this.negative = Object.create(null);        // counts of negative values by bucket index of the magnitude
+    this.zeroCount = 0;
+
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+}
+
+LogHistogram.prototype = {
+
+    // count the value (count times, default once)
+    add: function add( value, count ) {
+        if (count === undefined) count = 1;
+        if (value > 0) _increment(this.positive, this._bucketIndex(value), count);
+        else if (value < 0) _increment(this.negative, this._bucketIndex(-value), count);
+        else this.zeroCount += count;
+
+        this.count += count;
+        this.sum += value * count;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+        return this;
+    },
+
+    // add the counts from the other histogram into this one
+    merge: function merge( other ) {
+        if (other.gamma !== this.gamma) throw new Error("cannot merge histograms of different accuracy");
+        var ix;
+        for (ix in other.positive) _increment(this.positive, ix, other.positive[ix]);
+        for (ix in other.negative) _increment(this.negative, ix, other.negative[ix]);
+        this.zeroCount += other.zeroCount;
+
+        this.count += other.count;
+        this.sum += other.sum;
+        if (other.min < this.min) this.min = other.min;
+        if (other.max > this.max) this.max = other.max;
+        return this;
+    },
+
+    // return the approximate value at percentile p (0..100), or undefined if empty
+    percentile: function percentile( p ) {
+        if (this.count <= 0) return undefined;
+        if (p <= 0) return this.min;
+        if (p >= 100) return this.max;
+
+        // nearest-rank: the smallest value with at least p percent of the values at or below it
+        var rank = Math.ceil(p / 100 * this.count);
+        var seen = 0, i, indexes;
+
+        indexes = _sortedIndexes(this.negative).reverse();
+        for (i=0; i<indexes.length; i++) {
+            seen += this.negative[indexes[i]];
+            if (seen >= rank) return this._clamp(-this._bucketValue(indexes[i]));
+        }
+
+        seen += this.zeroCount;
+        if (seen >= rank) return 0;
+
+        indexes = _sortedIndexes(this.positive);
+        for (i=0; i<indexes.length; i++) {
+            seen += this.positive[indexes[i]];
+            if (seen >= rank) return this._clamp(this._bucketValue(indexes[i]));
+        }
+        return this.max;
+    },
+
+    // bucket i holds the values in (gamma^(i-1), gamma^i]
+    _bucketIndex: function _bucketIndex( magnitude ) {
+        return Math.ceil(Math.log(magnitude) / this.logGamma);
+    },
+
+    // the value within relativeAccuracy of every value in bucket i
+    _bucketValue: function _bucketValue( index ) {
+        return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+    },
+
+    _clamp: function _clamp( value ) {
+        return value < this.min ? this.min : value > this.max ? this.max : value;
+    },
+}
+
+function _increment( counts, index, count ) {
+    counts[index] = (counts[index] || 0) + count;
+}
+
+function _sortedIndexes( counts ) {
+    return Object.keys(counts).map(Number).sort(function(a, b) { return a - b });
+}
@@ -0,0 +1,147 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * advisory lock file
+ *
+ * Lets only one process at a time upload a journal shared by several processes.
+ * The lock file is created exclusively and holds the {pid, hostname, time} of the
+ * holder, and is touched by the holder while in use.  A lock is stale and is broken
+ * if its holder process on this host is gone, or if not touched in the last
+ * staleAfter milliseconds, eg its holder hung or its pid is now another process.
+ */
+
+'use strict'
+
+var fs = require('fs');
+var os = require('os');
+var fromBuf = require('./buffers.js').fromBuf;
+
+module.exports = LockFile;
+
+// the lock files held by this process
+var heldLocks = {};
+
+function LockFile( filename, options ) {
+    options = options || {};
+    this.filename = filename;
+    this.staleAfter = options.staleAfter || 600000;
+    this.hostname = os.hostname();
+    this.held = false;
+}
+
+LockFile.prototype = {
+    filename: null,
+    staleAfter: null,
+    hostname: null,
+    held: false,
+
+    // try to take the lock, call back with true if taken, false if held by another process
+    acquire: function acquire( cb ) {
+        this._acquire(false, cb);
+    },
+
+    // note that the held lock is still in use, so it is not broken as stale
+    touch: function touch( cb ) {
+        if (!this.held) return cb();
+        var now = Date.now() / 1000;
+        fs.utimes(this.filename, now, now, function(err) {
+            cb(err && err.code !== 'ENOENT' ? err : null);
+        });
+    },
+
+    // give up the lock, if held
+    release: function release( cb ) {
+        if (!this.held) return cb();
+        this.held = false;
+        delete heldLocks[this.filename];
+        fs.unlink(this.filename, function(err) {
+            cb(err && err.code !== 'ENOENT' ? err : null);
+        });
+    },
+
+    _acquire: function _acquire( staleBroken, cb ) {
+        var self = this;
+        var info = fromBuf(JSON.stringify({ pid: process.pid, hostname: this.hostname, time: Date.now() }) + "\n");
+        fs.open(this.filename, 'wx', function(err, fd) {
+            if (!err) {
+                return fs.write(fd, info, 0, info.length, null, function(err) {
+                    fs.close(fd, function() {
+                        if (err) return fs.unlink(self.filename, function() { cb(err) });
+                        self.held = true;
+                        heldLocks[self.filename] = true;
+                        cb(null, true);
+                    });
+                });
+            }
+            if (err.code !== 'EEXIST' || staleBroken) return cb(err.code === 'EEXIST' ? null : err, false);
+
+            self._readStale(function(err, staleContents) {
+                if (err || staleContents === null) return cb(err, false);
+                self._breakStale(staleContents, function(err) {
+                    if (err) return cb(err, false);
+                    self._acquire(true, cb);
+                });
+            });
+        });
+    },
+
+    // call back with the contents of the lock file if it is stale, else null
+    _readStale: function _readStale( cb ) {
+        var self = this;
+        fs.readFile(this.filename, function(err, contents) {
+            // a lock released meanwhile is not stale, just try again later
+            if (err) return cb(err.code === 'ENOENT' ? null : err, null);
+            fs.stat(self.filename, function(err, stat) {
+                if (err) return cb(err.code === 'ENOENT' ? null : err, null);
+                cb(null, self._isStale(String(contents), stat.mtime.getTime()) ? String(contents) : null);
+            });
+        });
+    },
+
+    _isStale: function _isStale( contents, mtime ) {
+        // any lock is stale once no longer touched, including one from another host or one still being written
+        if (Date.now() - mtime > this.staleAfter) return true;
+        var info;
+        try { info = JSON.parse(contents) } catch (err) { info = {} }
+        if (info.hostname === this.hostname && info.pid) {
+            // our own pid in a lock we do not hold was left by an earlier process, eg before a container restart
+            if (info.pid === process.pid) return !heldLocks[this.filename];
+            return !_processExists(info.pid);
+        }
+        return false;
+    },
+
+    // remove the stale lock, unless another process has broken it and taken the lock meanwhile
+    _breakStale: function _breakStale( staleContents, cb ) {
+        var filename = this.filename;
+        var tempfile = filename + "." + process.pid + ".stale";
+        fs.rename(filename, tempfile, function(err) {
+            if (err) return cb(err.code === 'ENOENT' ? null : err);
+            fs.readFile(tempfile, function(err, contents) {
+                if (!err && String(contents) === staleContents) return fs.unlink(tempfile, cb);
+                // a fresh lock, put it back
+                fs.link(tempfile, filename, function() {
+                    fs.unlink(tempfile, function() { cb() });
+                });
+            });
+        });
+    },
+}
+
+function _processExists( pid ) {
+    try { process.kill(pid, 0); return true }
+    catch (err) { return err.code === 'EPERM' }
+}
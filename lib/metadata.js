@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * instance metadata resolver
+ *
+ * Finds out where this process runs:  the instance id, zone and region from the
+ * AWS (IMDSv2, falling back to IMDSv1), GCE or Azure metadata service, and the pod
+ * name, namespace and node from the Kubernetes downward-api environment variables.
+ * The cloud metadata services are queried at the same time, with short timeouts,
+ * and the result is cached.
+ */
+
+'use strict'
+
+var url = require('url');
+var request = require('./request.js');
+
+module.exports = {
+    resolve: resolve,
+    providers: ['aws', 'gce', 'azure'],
+    DEFAULT_ENDPOINT: 'http://169.254.169.254',
+    _clearCache: function() { resultCache = {} },
+};
+
+// the resolved metadata, or the callbacks waiting for it, by endpoint and providers
+var resultCache = {};
+
+// call back with the {provider, instanceId, zone, region, podName, namespace, nodeName} metadata
+// Options are {endpoint, timeout, providers, env, refresh}.  Fields not known are left undefined,
+// and provider is undefined if no cloud metadata service answered.
+function resolve( options, cb ) {
+    options = options || {};
+    var endpoint = options.endpoint || module.exports.DEFAULT_ENDPOINT;
+    var providers = options.providers || module.exports.providers;
+    for (var i=0; i<providers.length; i++) {
+        if (!lookUps[providers[i]]) throw new Error(providers[i] + ": unknown metadata provider");
+    }
+    var cacheKey = endpoint + ' ' + providers.join(',');
+    var cached = resultCache[cacheKey];
+
+    // a lookup already under way is shared even if refreshing
+    if (cached && !cached.result) return cached.waiting.push(cb);
+    if (cached && !options.refresh) return cb(null, cached.result);
+    cached = resultCache[cacheKey] = { result: null, waiting: [cb] };
+
+    var found = new Array(providers.length);
+    var pending = providers.length;
+    if (!pending) return process.nextTick(done);
+    for (var j=0; j<providers.length; j++) lookUp(j);
+
+    function lookUp( i ) {
+        lookUps[providers[i]](endpoint, options.timeout || 1000, function(err, info) {
+            found[i] = err ? null : info;
+            if (--pending === 0) done();
+        });
+    }
+
+    function done( ) {
+        var result = kubernetesInfo(options.env || process.env);
+        result.provider = undefined;
+        result.instanceId = result.zone = result.region = undefined;
+        for (var i=0; i<found.length; i++) {
+            if (!found[i]) continue;
+            result.provider = providers[i];
+            result.instanceId = found[i].instanceId;
+            result.zone = found[i].zone;
+            result.region = found[i].region;
+            break;
+        }
+        var waiting = cached.waiting;
+        cached.result = result;
+        cached.waiting = [];
+        for (var j=0; j<waiting.length; j++) waiting[j](null, result);
+    }
+}
+
+// the pod name, namespace and node name exported to the pod by the downward api
+// The pod hostname is the pod name, if not exported explicitly.
+function kubernetesInfo( env ) {
+    var inKubernetes = !!env.KUBERNETES_SERVICE_HOST;
+    return {
+        podName: env.POD_NAME || env.KUBERNETES_POD_NAME || (inKubernetes ? env.HOSTNAME : undefined) || undefined,
+        namespace: env.POD_NAMESPACE || env.KUBERNETES_NAMESPACE || undefined,
+        nodeName: env.NODE_NAME || env.KUBERNETES_NODE_NAME || undefined,
+    };
+}
+
+var lookUps = {
+    // AWS IMDSv2 needs a session token, IMDSv1 does not
+    aws: function lookUpAws( endpoint, timeout, cb ) {
+        var tokenUri = makeUri(endpoint, '/latest/api/token', timeout, { 'X-aws-ec2-metadata-token-ttl-seconds': '21600', 'Content-Length': 0 });
+        tokenUri.method = 'PUT';
+        request(tokenUri, '', function(err, res) {
+            // without a response the service is not there, with an http error it may be IMDSv1
+            if (err && !res) return cb(err);
+            var headers = (err || !res.body) ? {} : { 'X-aws-ec2-metadata-token': res.body };
+            request(makeUri(endpoint, '/latest/dynamic/instance-identity/document', timeout, headers), '', function(err, res) {
+                var doc = parseJson(err, res);
+                if (!doc || !doc.instanceId) return cb(err || new Error("not aws instance metadata"));
+                cb(null, { instanceId: doc.instanceId, zone: doc.availabilityZone, region: doc.region });
+            });
+        });
+    },
+
+    gce: function lookUpGce( endpoint, timeout, cb ) {
+        var uri = makeUri(endpoint, '/computeMetadata/v1/instance/?recursive=true', timeout, { 'Metadata-Flavor': 'Google' });
+        request(uri, '', function(err, res) {
+            var doc = parseJson(err, res);
+            if (!doc || doc.id === undefined) return cb(err || new Error("not gce instance metadata"));
+            // the zone is reported as "projects/<number>/zones/<zone>", and the region is the zone without its "-<letter>"
+            var zone = doc.zone ? String(doc.zone).split('/').pop() : undefined;
+            cb(null, { instanceId: String(doc.id), zone: zone, region: zone ? zone.replace(/-[^-]*$/, '') : undefined });
+        });
+    },
+
+    azure: function lookUpAzure( endpoint, timeout, cb ) {
+        var uri = makeUri(endpoint, '/metadata/instance?api-version=2021-02-01', timeout, { 'Metadata': 'true' });
+        request(uri, '', function(err, res) {
+            var doc = parseJson(err, res);
+            var compute = doc && doc.compute;
+            if (!compute || !compute.vmId) return cb(err || new Error("not azure instance metadata"));
+            // azure zones are numbered within the location
+            var zone = compute.zone ? compute.location + '-' + compute.zone : undefined;
+            cb(null, { instanceId: compute.vmId, zone: zone, region: compute.location });
+        });
+    },
+};
+
+function makeUri( endpoint, path, timeout, headers ) {
+    var parts = url.parse(endpoint);
+    return {
+        protocol: parts.protocol,
+        host: parts.hostname,
+        port: parts.port || (parts.protocol === 'https:' ? 443 : 80),
+        path: (parts.pathname || '/').replace(/\/$/, '') + path,
+        method: 'GET',
+        headers: headers,
+        timeout: timeout,
+    };
+}
+
+function parseJson( err, res ) {
+    if (err || !res) return null;
+    try { return JSON.parse(res.body) }
+    catch (e) { return null }
+}
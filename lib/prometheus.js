@@ -0,0 +1,135 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * in-memory metrics registry in the prometheus text exposition format
+ *
+ * Keeps the current value of every metric series:  counters are summed,
+ * gauges and plain samples keep the latest value, and timings are counted
+ * into cumulative histogram buckets.  Set members are not tracked.
+ *
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+'use strict'
+
+module.exports = PrometheusRegistry;
+
+function PrometheusRegistry( options ) {
+    options = options || {};
+    // histogram bucket upper bounds, in milliseconds
+    this.buckets = (options.buckets || [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]).slice(0).sort(function(a, b) { return a - b });
+    this.families = Object.create(null);
+}
+
+PrometheusRegistry.prototype = {
+
+    // update the series of the named metric with the value
+    // The weight is the number of values the value stands for, eg 1/rate for sampled stats, default 1.
+    record: function record( name, value, type, tags, weight ) {
+        var promType = (type === 'c') ? 'counter' : (type === 'ms') ? 'histogram' : (type === 's') ? null : 'gauge';
+        if (!promType) return;
+        value = (typeof value === 'number') ? value : parseFloat(value);
+        if (!(value > -Infinity && value < Infinity)) return;
+        if (weight === undefined) weight = 1;
+
+        var metricName = sanitizeName(name);
+        var family = this.families[metricName];
+        if (!family) family = this.families[metricName] = { name: metricName, help: name, type: promType, series: Object.create(null) };
+        // a metric name can have only one type, ignore the mismatched values
+        if (family.type !== promType) return;
+
+        var labels = formatLabels(tags);
+        var series = family.series[labels];
+        if (!series) series = family.series[labels] = {
+            labels: labels, value: 0, count: 0, sum: 0,
+            bucketCounts: (promType === 'histogram') ? _zeros(this.buckets.length) : null,
+        };
+
+        switch (promType) {
+        case 'counter': series.value += value * weight; break;
+        case 'gauge': series.value = value; break;
+        case 'histogram':
+            series.count += weight;
+            series.sum += value * weight;
+            for (var i=0; i<this.buckets.length; i++) if (value <= this.buckets[i]) series.bucketCounts[i] += weight;
+            break;
+        }
+    },
+
+    // return the metrics in the prometheus text exposition format
+    format: function format( ) {
+        var out = '';
+        for (var name in this.families) {
+            var family = this.families[name];
+            out += '# HELP ' + name + ' ' + family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n') + '\n';
+            out += '# TYPE ' + name + ' ' + family.type + '\n';
+            for (var labels in family.series) {
+                var series = family.series[labels];
+                if (family.type !== 'histogram') {
+                    out += name + _braces(labels) + ' ' + formatValue(series.value) + '\n';
+                    continue;
+                }
+                for (var i=0; i<this.buckets.length; i++) {
+                    out += name + '_bucket' + _braces(_addLabel(labels, 'le="' + formatValue(this.buckets[i]) + '"')) + ' ' + series.bucketCounts[i] + '\n';
+                }
+                out += name + '_bucket' + _braces(_addLabel(labels, 'le="+Inf"')) + ' ' + series.count + '\n';
+                out += name + '_sum' + _braces(labels) + ' ' + formatValue(series.sum) + '\n';
+                out += name + '_count' + _braces(labels) + ' ' + series.count + '\n';
+            }
+        }
+        return out;
+    },
+}
+
+// convert the dotted stat name into a legal prometheus metric name [a-zA-Z_:][a-zA-Z0-9_:]*
+function sanitizeName( name ) {
+    name = String(name).replace(/[^a-zA-Z0-9_:]/g, '_');
+    return /^[0-9]/.test(name) ? '_' + name : name;
+}
+
+// format the tags as the label list name="value",name2="value2"
+// Label names are [a-zA-Z_][a-zA-Z0-9_]*, and are sorted so that the same tags map to the same series.
+function formatLabels( tags ) {
+    var labels = [];
+    for (var k in tags) {
+        var label = String(k).replace(/[^a-zA-Z0-9_]/g, '_');
+        if (/^[0-9]/.test(label)) label = '_' + label;
+        var value = String(tags[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        labels.push(label + '="' + value + '"');
+    }
+    return labels.sort().join(',');
+}
+
+function formatValue( value ) {
+    return (value === Infinity) ? '+Inf' : (value === -Infinity) ? '-Inf' : String(value);
+}
+
+function _zeros( n ) {
+    var array = new Array(n);
+    for (var i=0; i<n; i++) array[i] = 0;
+    return array;
+}
+
+function _braces( labels ) {
+    return labels ? '{' + labels + '}' : '';
+}
+
+function _addLabel( labels, label ) {
+    return labels ? labels + ',' + label : label;
+}
+
+PrometheusRegistry.sanitizeName = sanitizeName;
+PrometheusRegistry.formatLabels = formatLabels;
@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * Minimal http client for the backends that upload with a single request
+ */
+
+'use strict'
+
+var http = require('http');
+var https = require('https');
+
+module.exports = request;
+
+// make the http request, and call back with the response and its body
+// Responses with a status code of 300 or more are errors.  If uri.timeout is set, it
+// is an error for the response to take longer than that many milliseconds.
+function request( uri, body, cb ) {
+    var httpRequest = (uri.protocol === 'https:' || (uri.protocol !== 'http:' && uri.port == 443)) ? https.request : http.request;
+    var timeout = uri.timeout;
+    delete uri.protocol;
+    delete uri.timeout;
+    var returned = false;
+    function returnOnce( err, res ) {
+        if (returned) return;
+        returned = true;
+        cb(err, res);
+    }
+
+    var req = httpRequest(uri, function(res) {
+        res.body = '';
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) { res.body += chunk });
+        res.on('end', function() {
+            if (res.statusCode >= 300) return returnOnce(new Error("http error " + res.statusCode), res);
+            returnOnce(null, res);
+        });
+        res.on('error', function(err) { returnOnce(err, res) });
+    });
+    req.on('error', function(err) { returnOnce(err) });
+    if (timeout) req.setTimeout(timeout, function() {
+        returnOnce(new Error("http request timed out after " + timeout + " ms"));
+        req.abort();
+    });
+    req.end(body);
+}
@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) 2015, 2017, Kinvey, Inc. All rights reserved.
+ *
+ * This software is licensed to you under the Kinvey terms of service located at
+ * http://www.kinvey.com/terms-of-use. By downloading, accessing and/or using this
+ * software, you hereby accept such terms of service  (and any agreement referenced
+ * therein) and agree that you have read, understand and agree to be bound by such
+ * terms of service and are of legal age to agree to such terms with Kinvey.
+ *
+ * This software contains valuable confidential and proprietary information of
+ * KINVEY, INC and is subject to applicable licensing agreements.
+ * Unauthorized reproduction, transmission or distribution of this file and its
+ * contents is a violation of applicable laws.
+ */
+
+/*
+ * cluster worker journal
+ *
+ * A journal for cluster workers that sends the stats lines over ipc to the master
+ * process, to be journaled and uploaded there (see KStats.receiveWorkerStats).
+ * The lines written in the same tick are sent together in one message.
+ */
+
+'use strict'
+
+module.exports = WorkerJournal;
+
+function WorkerJournal( options ) {
+    options = options || {};
+    this.process = options.process || process;
+    if (typeof this.process.send !== 'function') throw new Error("not a cluster worker, no ipc channel to the master");
+    this.lines = [];
+    this.droppedLines = 0;
+    this._sendTimer = null;
+}
+
+WorkerJournal.prototype = {
+    process: null,
+    lines: null,
+    droppedLines: 0,
+    _sendTimer: null,
+
+    write: function write( line ) {
+        var self = this;
+        this.lines.push(line);
+        if (!this._sendTimer) this._sendTimer = setTimeout(function() { self._send(function(){}) }, 0);
+        return true;
+    },
+
+    // send the lines written so far, and call back once sent
+    fflush: function fflush( cb ) {
+        this._send(cb);
+    },
+
+    _send: function _send( cb ) {
+        clearTimeout(this._sendTimer);
+        this._sendTimer = null;
+        var lines = this.lines;
+        this.lines = [];
+        if (!lines.length) return cb();
+
+        var self = this;
+        // without a callback a send on a closed channel is an uncaught error
+        this.process.send({ kstatsLines: lines }, function(err) {
+            if (err) self.droppedLines += lines.length;
+            cb(err || null);
+        });
+    },
+}
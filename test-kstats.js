@@ -21,8 +21,10 @@ var assert = require('assert');
 var http = require('http');
 var os = require('os');
 var fs = require('fs');
+var dgram = require('dgram');
 
 var KStats = require('./');
+var fromBuf = require('./lib/buffers.js').fromBuf;
 
 describe ('KStats', function() {
     var lines = [];
@@ -38,6 +40,23 @@ describe ('KStats', function() {
         done();
     })
 
+    // write the journal lines to upload for each test, and remove it and its captured and checkpoint files after
+    function useJournalFiles( tempfile ) {
+        beforeEach (function(done) {
+            fs.writeFileSync(tempfile, "line1\nline2\nline3\nline4\nline5");
+            try { fs.unlinkSync(tempfile + ".up") } catch (e) { }
+            try { fs.unlinkSync(tempfile + ".up.offset") } catch (e) { }
+            done();
+        })
+
+        afterEach (function(done) {
+            try { fs.unlinkSync(tempfile) } catch (e) { }
+            try { fs.unlinkSync(tempfile + ".up") } catch (e) { }
+            try { fs.unlinkSync(tempfile + ".up.offset") } catch (e) { }
+            done();
+        })
+    }
+
     it ('should parse package.json', function(done) {
         require('./package.json');
         done();
@@ -74,6 +93,19 @@ describe ('KStats', function() {
             done();
         })
 
+        it ('unixTimestamp should return NaN for unparseable timestamps', function(done) {
+            assert.ok(isNaN(cut.unixTimestamp("yesterday")));
+            assert.ok(isNaN(cut.unixTimestamp(new Date("x"))));
+            assert.ok(isNaN(cut.unixTimestamp(-1)));
+            var digits = ["1", "12", "12345", "123456789", "123456789012", "12345678901234", "12345678901234567", "9999999999"];
+            for (var i=0; i<digits.length; i++) assert.ok(isNaN(cut.unixTimestamp(digits[i])), digits[i]);
+            assert.ok(isNaN(cut.unixTimestamp(1e16)));
+            assert.ok(isNaN(cut.unixTimestamp("3000-01-01T00:00:00Z")));
+            assert.equal(cut.unixTimestamp("0000000000"), 0);
+            assert.equal(cut.unixTimestamp(new Date(1500000000000)), 1500000000);
+            done();
+        })
+
         it ('makeTimestamp should return a time string', function(done) {
             var now = Date.now();
             var timestamp = cut.makeTimestamp(now);
@@ -94,6 +126,88 @@ describe ('KStats', function() {
             done();
         })
 
+        it ('typed loggers should write the metric type to journal', function(done) {
+            var ts = '2015-01-01T12:34:56.789Z';
+            cut.logCounter('count', 3, ts);
+            cut.logCounter('count1');
+            cut.logGauge('gauge', 1.5, ts);
+            cut.logTiming('timer', 12, ts);
+            cut.logSet('set', 'user123', ts);
+            assert.equal(lines[0], ts + " unit.test.count 3 |c\n");
+            assert.ok(/ unit.test.count1 1 \|c\n$/.test(lines[1]));
+            assert.equal(lines[2], ts + " unit.test.gauge 1.5 |g\n");
+            assert.equal(lines[3], ts + " unit.test.timer 12 |ms\n");
+            assert.equal(lines[4], ts + " unit.test.set user123 |s\n");
+            done();
+        })
+
+        it ('should escape set members and parse them back', function(done) {
+            var members = ['john smith', '|c', '@0.5', '#tag=1', '50% off', 'line\nbreak'];
+            for (var i=0; i<members.length; i++) cut.logSet('users', members[i], 1500000000);
+            assert.equal(lines[0], "1500000000 unit.test.users john%20smith |s\n");
+            assert.equal(lines[3], "1500000000 unit.test.users %23tag%3D1 |s\n");
+            var samples = cut._parseJournalContents(lines.join(''), {});
+            assert.deepEqual(samples.map(function(sample) { return sample.value }), members);
+            assert.strictEqual(KStats._parseJournalLine("1500000000 users 50% |s").value, '50%');
+            done();
+        })
+
+        it ('_parseJournalLine should parse plain and typed lines', function(done) {
+            var parse = KStats._parseJournalLine;
+            assert.deepEqual(parse("1500000000 name 1.5"),
+                { name: 'name', value: 1.5, timestamp: '1500000000', type: undefined, tags: undefined, line: "1500000000 name 1.5" });
+            assert.equal(parse("1500000000 name 2 |c").type, 'c');
+            assert.strictEqual(parse("1500000000 name 2 |c").value, 2);
+            assert.strictEqual(parse("1500000000 name abc |s").value, 'abc');
+            assert.equal(parse("1500000000 name abc"), null);
+            assert.equal(parse("1500000000 name 1 |x"), null);
+            assert.equal(parse("1500000000 name 1 |constructor"), null);
+            assert.equal(parse("1500000000 name 1 |c |g"), null);
+            assert.equal(parse("1500000000 name 1 extra"), null);
+            assert.equal(parse("1500000000 name"), null);
+            assert.equal(parse("1500000000  1"), null);
+            done();
+        })
+
+        it ('logStat should accept options with timestamp and tags', function(done) {
+            cut.logStat('stat-name', 111, { timestamp: '2015-01-01T12:34:56.789Z', tags: { route: '/x y', status: 200 } });
+            cut.logCounter('hits', 2, { tags: { 'a,b': 'c=d#e%' } });
+            cut.logStat('stat-name', 222, {});
+            assert.equal(lines[0], "2015-01-01T12:34:56.789Z unit.test.stat-name 111 #route=/x%20y,status=200\n");
+            assert.ok(/ unit.test.hits 2 \|c #a%2Cb=c%3Dd%23e%25\n$/.test(lines[1]));
+            assert.ok(/ unit.test.stat-name 222\n$/.test(lines[2]));
+            done();
+        })
+
+        it ('should add the default tags to every stat', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                tags: { region: 'us-east-1', service: 'api' },
+            });
+            cut.logStat('stat-name', 1, '2015-01-01T12:34:56.789Z');
+            cut.logGauge('stat-name', 2, { timestamp: '2015-01-01T12:34:56.789Z', tags: { service: 'db', status: 200 } });
+            assert.equal(lines[0], "2015-01-01T12:34:56.789Z unit.test.stat-name 1 #region=us-east-1,service=api\n");
+            assert.equal(lines[1], "2015-01-01T12:34:56.789Z unit.test.stat-name 2 |g #region=us-east-1,service=db,status=200\n");
+            done();
+        })
+
+        it ('_parseJournalLine should decode tags', function(done) {
+            var parse = KStats._parseJournalLine;
+            var tags = { route: '/x y', 'a,b': 'c=d#e%', 'ü': '\u2028' };
+            var line = "1500000000 name 1 " + KStats._formatJournalTags(tags);
+            assert.equal(line.split(' ').length, 4);
+            assert.deepEqual(parse(line).tags, tags);
+            assert.deepEqual(parse("1500000000 name 1 #a=1 |c").tags, { a: '1' });
+            assert.equal(parse("1500000000 name 1 #a=1 |c").type, 'c');
+            assert.equal(parse("1500000000 name 1 #a"), null);
+            assert.equal(parse("1500000000 name 1 #=1"), null);
+            assert.equal(parse("1500000000 name 1 #a=%E0%A4%A"), null);
+            assert.equal(parse("1500000000 name 1 #a=1 #b=2"), null);
+            assert.equal(KStats._formatJournalTags({}), '');
+            done();
+        })
+
         it ('rejectedLines(false) should return the currently configured failed lines store', function(done) {
             cut.rejectedLines([]);
             var lines1 = cut.rejectedLines(false);
@@ -137,6 +251,529 @@ describe ('KStats', function() {
         })
     })
 
+    describe ('collectors', function() {
+        var Collectors = require('./lib/collectors.js');
+
+        function names( lines ) {
+            return lines.map(function(line) { return line.split(' ')[1] });
+        }
+
+        afterEach (function(done) {
+            cut.stopCollectors();
+            done();
+        })
+
+        it ('should journal the process and os stats', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                collectors: { only: ['cpu', 'memory', 'os'] },
+            });
+            cut.collectStats();
+            var logged = names(lines);
+            ['cpu_user', 'cpu_system', 'mem_rss', 'mem_heap_used', 'os_load_1m', 'os_mem_free', 'os_mem_total'].forEach(function(name) {
+                assert.ok(logged.indexOf('unit.test.' + name) >= 0, name + ' not journaled');
+            });
+            assert.ok(!/ NaN$/m.test(lines.join('')));
+            done();
+        })
+
+        it ('should not journal the disabled collectors', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                collectors: { eventLoop: false, gc: false, handles: false, cpu: false, memory: false, fds: false },
+            });
+            cut.collectStats();
+            assert.deepEqual(names(lines), ['os_load_1m', 'os_load_5m', 'os_load_15m', 'os_mem_free', 'os_mem_total'].map(function(name) {
+                return 'unit.test.' + name;
+            }));
+            done();
+        })
+
+        it ('should journal on the collectors interval', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                collectors: { interval: 5, only: ['handles'] },
+            });
+            setTimeout(function() {
+                assert.ok(names(lines).indexOf('unit.test.active_handles') >= 0);
+                cut.stopCollectors();
+                var count = lines.length;
+                setTimeout(function() {
+                    assert.equal(lines.length, count);
+                    done();
+                }, 20);
+            }, 30);
+        })
+
+        it ('should not collect unless configured', function(done) {
+            cut.collectStats();
+            assert.equal(lines.length, 0);
+            done();
+        })
+
+        it ('should skip the collectors not supported by this node', function(done) {
+            var collectors = new Collectors();
+            for (var name in collectors.collectors) assert.ok(Collectors.names.indexOf(name) >= 0);
+            assert.ok(collectors.collectors.cpu || !process.cpuUsage);
+            collectors.stop();
+            done();
+        })
+    })
+
+    describe ('sampling', function() {
+        var random = Math.random;
+        var nextRandom;
+
+        beforeEach (function(done) {
+            nextRandom = 0;
+            Math.random = function() { return nextRandom };
+            done();
+        })
+
+        afterEach (function(done) {
+            Math.random = random;
+            done();
+        })
+
+        it ('should journal the sampled stats with their rate', function(done) {
+            cut.logCounter('hits', 1, { timestamp: '2015-01-01T12:34:56.789Z', sampleRate: 0.25, tags: { a: 1 } });
+            nextRandom = 0.25;
+            cut.logCounter('hits', 1, { sampleRate: 0.25 });
+            cut.logCounter('hits', 1, { sampleRate: 1 });
+            cut.logCounter('hits', 1, { sampleRate: 0 });
+            assert.equal(lines.length, 3);
+            assert.equal(lines[0], "2015-01-01T12:34:56.789Z unit.test.hits 1 |c @0.25 #a=1\n");
+            assert.ok(/ unit.test.hits 1 \|c\n$/.test(lines[1]));
+            assert.ok(/ unit.test.hits 1 \|c\n$/.test(lines[2]));
+            done();
+        })
+
+        it ('should sample the stats matching the sampleRates rules', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                sampleRates: [ { match: 'http.*', rate: 0.5 }, { match: /^db\./, rate: 0.1 } ],
+            });
+            nextRandom = 0.3;
+            cut.logTiming('http.request', 12, '1500000000');
+            cut.logTiming('db.query', 3, '1500000000');
+            cut.logTiming('db.query', 3, { timestamp: '1500000000', sampleRate: 1 });
+            cut.logTiming('other', 4, '1500000000');
+            assert.deepEqual(lines, [
+                "1500000000 unit.test.http.request 12 |ms @0.5\n",
+                "1500000000 unit.test.db.query 3 |ms\n",
+                "1500000000 unit.test.other 4 |ms\n",
+            ]);
+            done();
+        })
+
+        it ('_parseJournalLine should parse the sample rate', function(done) {
+            var parse = KStats._parseJournalLine;
+            assert.equal(parse("1500000000 name 1 |c @0.1 #a=1").rate, 0.1);
+            assert.equal(parse("1500000000 name 1").rate, undefined);
+            assert.equal(parse("1500000000 name 1 @0"), null);
+            assert.equal(parse("1500000000 name 1 @x"), null);
+            assert.equal(parse("1500000000 name 1 @0.1 @0.1"), null);
+            done();
+        })
+
+        it ('should send the rate to statsd and scale the counters for the other backends', function(done) {
+            var now = cut.unixTimestamp();
+            var journal = now + " hits 1 |c @0.25\n" + now + " lat 12 |ms @0.5\n" + now + " level 3 |g @0.5\n";
+            assert.deepEqual(cut._parseJournalStatsdContents(journal), ['hits:1|c|@0.25', 'lat:12|ms|@0.5', 'level:3|g']);
+            assert.deepEqual(cut._parseJournalGraphiteContents(journal), ['hits 4 ' + now, 'lat 12 ' + now, 'level 3 ' + now]);
+            assert.equal(cut._parseJournalInfluxContents(journal)[0], 'hits value=4 ' + now);
+            assert.deepEqual(cut._parseJournalStackdriverContents(journal).map(function(point) { return [point.name, point.value] }),
+                [['hits', 4], ['lat', 12], ['level', 3]]);
+            done();
+        })
+
+        it ('should scale the sampled counters when aggregating', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                aggregate: { interval: 100000 },
+            });
+            cut.logCounter('hits', 1, { sampleRate: 0.25 });
+            cut.logCounter('hits', 1, { sampleRate: 0.25 });
+            cut.stopAggregating();
+            assert.equal(lines.length, 1);
+            assert.ok(/ unit.test.hits 8 \|c\n$/.test(lines[0]));
+            done();
+        })
+
+        it ('should weight the sampled timings when aggregating and summarizing', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                aggregate: { interval: 100000 },
+            });
+            var random = Math.random;
+            Math.random = function() { return 0.05 };
+            try { for (var i=0; i<10; i++) cut.logTiming('lat', 5, { sampleRate: 0.1 }) }
+            finally { Math.random = random }
+            cut.stopAggregating();
+            assert.ok(/ unit.test.lat.count 100 \|c\n$/.test(lines[0]));
+            assert.ok(/ unit.test.lat.sum 500 \|c\n$/.test(lines[1]));
+            assert.ok(/ unit.test.lat.max 5 \|g\n$/.test(lines[3]));
+
+            var summary = cut.summarizeJournalContents("1500000000 lat 5 |ms @0.1\n1500000001 lat 7 |ms @0.1\n1500000002 lat 9 |ms\n", [{ match: 'lat' }]);
+            assert.equal(summary.split("\n")[0], "1500000000 lat.count 21 |c");
+            done();
+        })
+
+        it ('should drop and count the lines over maxLinesPerSecond', function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                maxLinesPerSecond: 3,
+                selfStats: true,
+            });
+            var second = Date.now() / 1000 >>> 0;
+            for (var i=0; i<10; i++) cut.logStat('stat', i);
+            // the 1-second window may have rolled over mid-loop
+            var expected = (Date.now() / 1000 >>> 0) === second ? 3 : lines.length;
+            assert.equal(lines.length, expected);
+            assert.equal(cut.droppedCount(), 10 - lines.length);
+            cut._rateLimitLines = 0;
+            var dropped = cut.droppedCount();
+            cut.logSelfStats();
+            cut.stopSelfStats();
+            assert.ok(lines.join('').indexOf(' unit.test.kstats.dropped ' + dropped + ' |c') > 0);
+            done();
+        })
+    })
+
+    describe ('aggregation', function() {
+        var Aggregator = require('./lib/aggregator.js');
+
+        beforeEach (function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                aggregate: { interval: 100000, percentiles: [50, 90] },
+            });
+            done();
+        })
+
+        afterEach (function(done) {
+            cut.stopAggregating();
+            done();
+        })
+
+        it ('should not journal aggregated stats until flushed', function(done) {
+            cut.logStat('lat', 10);
+            cut.logCounter('hits');
+            assert.equal(lines.length, 0);
+            cut.flushAggregates();
+            assert.equal(lines.length, 8);
+            cut.flushAggregates();
+            assert.equal(lines.length, 8);
+            done();
+        })
+
+        it ('should journal count, sum, min, max, last and percentiles of samples', function(done) {
+            var values = [5, 1, 4, 2, 3, 10, 9, 8, 7, 6];
+            for (var i=0; i<values.length; i++) cut.logTiming('lat', values[i]);
+            cut.flushAggregates();
+            var stats = lines.map(function(line) { return line.slice(line.indexOf(' ') + 1) });
+            assert.deepEqual(stats, [
+                "unit.test.lat.count 10 |c\n",
+                "unit.test.lat.sum 55 |c\n",
+                "unit.test.lat.min 1 |g\n",
+                "unit.test.lat.max 10 |g\n",
+                "unit.test.lat.last 6 |g\n",
+                "unit.test.lat.p50 5 |g\n",
+                "unit.test.lat.p90 9 |g\n",
+            ]);
+            done();
+        })
+
+        it ('should sum counters, keep the last gauge and dedup set members', function(done) {
+            cut.logCounter('hits', 2);
+            cut.logCounter('hits', 3);
+            cut.logGauge('temp', 20);
+            cut.logGauge('temp', 21);
+            cut.logSet('users', 'a');
+            cut.logSet('users', 'b');
+            cut.logSet('users', 'a');
+            cut.flushAggregates();
+            var stats = lines.map(function(line) { return line.slice(line.indexOf(' ') + 1) });
+            assert.deepEqual(stats, [
+                "unit.test.hits 5 |c\n",
+                "unit.test.temp 21 |g\n",
+                "unit.test.users a |s\n",
+                "unit.test.users b |s\n",
+            ]);
+            done();
+        })
+
+        it ('should journal timestamped and non-numeric stats immediately', function(done) {
+            cut.logStat('lat', 10, '2015-01-01T12:34:56.789Z');
+            cut.logStat('lat', 'x');
+            cut.logMemoryUsage({rss: 333, heapTotal: 222, heapUsed: 111});
+            assert.equal(lines.length, 5);
+            assert.equal(lines[0], "2015-01-01T12:34:56.789Z unit.test.lat 10\n");
+            done();
+        })
+
+        it ('should flush on a timer', function(done) {
+            cut.stopAggregating();
+            cut = new KStats({ journal: { write: function(line) { lines.push(line) } }, aggregate: { interval: 5 } });
+            cut.logCounter('hits');
+            setTimeout(function() {
+                assert.equal(lines.length, 1);
+                done();
+            }, 20);
+        })
+
+        it ('stopAggregating should flush and write through', function(done) {
+            cut.logCounter('hits');
+            cut.stopAggregating();
+            assert.equal(lines.length, 1);
+            cut.logCounter('hits');
+            assert.equal(lines.length, 2);
+            done();
+        })
+
+        it ('should aggregate separately by tags', function(done) {
+            cut.logCounter('hits', 1, { tags: { status: 200 } });
+            cut.logCounter('hits', 2, { tags: { status: 200 } });
+            cut.logCounter('hits', 4, { tags: { status: 500 } });
+            cut.flushAggregates();
+            var stats = lines.map(function(line) { return line.slice(line.indexOf(' ') + 1) });
+            assert.deepEqual(stats, [
+                "unit.test.hits 3 |c #status=200\n",
+                "unit.test.hits 4 |c #status=500\n",
+            ]);
+            done();
+        })
+
+        it ('percentile should return nearest-rank values', function(done) {
+            assert.equal(Aggregator.percentile([1], 99), 1);
+            assert.equal(Aggregator.percentile([1, 2, 3, 4], 50), 2);
+            assert.equal(Aggregator.percentile([1, 2, 3, 4], 75), 3);
+            assert.equal(Aggregator.percentile([1, 2, 3, 4], 100), 4);
+            assert.equal(Aggregator.percentile([1, 2, 3, 4], 0), 1);
+            done();
+        })
+    })
+
+    describe ('summaries', function() {
+        var LogHistogram = require('./lib/histogram.js');
+
+        it ('histogram percentiles should be within the relative accuracy', function(done) {
+            var h = new LogHistogram({ relativeAccuracy: 0.01 });
+            for (var i=1; i<=1000; i++) h.add(i);
+            assert.equal(h.count, 1000);
+            assert.equal(h.sum, 500500);
+            assert.equal(h.percentile(0), 1);
+            assert.equal(h.percentile(100), 1000);
+            var ps = [1, 50, 90, 99, 99.9];
+            for (var j=0; j<ps.length; j++) {
+                var expect = ps[j] * 10;
+                assert.ok(Math.abs(h.percentile(ps[j]) - expect) <= expect * 0.01, ps[j] + ": " + h.percentile(ps[j]));
+            }
+            assert.strictEqual(new LogHistogram().percentile(50), undefined);
+            done();
+        })
+
+        it ('histogram should count zero and negative values', function(done) {
+            var h = new LogHistogram();
+            h.add(-100).add(-1).add(0).add(0).add(1, 2).add(100);
+            assert.equal(h.count, 7);
+            assert.equal(h.percentile(10), -100);
+            assert.ok(Math.abs(h.percentile(20) - -1) < 0.01);
+            assert.equal(h.percentile(50), 0);
+            assert.ok(Math.abs(h.percentile(80) - 1) < 0.01);
+            assert.equal(h.percentile(99), 100);
+            done();
+        })
+
+        it ('histograms should merge', function(done) {
+            var h1 = new LogHistogram(), h2 = new LogHistogram(), h = new LogHistogram();
+            for (var i=1; i<=100; i++) { (i % 2 ? h1 : h2).add(i); h.add(i) }
+            h1.merge(h2);
+            assert.deepEqual(h1, h);
+            assert.throws(function() { h1.merge(new LogHistogram({ relativeAccuracy: 0.05 })) }, /accuracy/);
+            done();
+        })
+
+        it ('summarizeJournalContents should replace matching samples with percentiles', function(done) {
+            var contents = "";
+            for (var i=1; i<=100; i++) contents += "1500000000 api.lat " + i + "\n";
+            contents += "1500000000 api.hits 1 |c\n";
+            contents += "1500000061 api.lat 500 |ms\n";
+            contents += "1500000000 db.lat 3\n";
+            contents += "bad line\n";
+            var summary = cut.summarizeJournalContents(contents, [{ match: 'api.*', percentiles: [50, 99], bucketWidth: 60 }]);
+            assert.equal(summary,
+                "1500000000 api.hits 1 |c\n" +
+                "1500000000 db.lat 3\n" +
+                "bad line\n" +
+                "1500000000 api.lat.count 100 |c\n" +
+                "1500000000 api.lat.p50 49.903 |g\n" +
+                "1500000000 api.lat.p99 98.5046 |g\n" +
+                "1500000000 api.lat.max 100 |g\n" +
+                "1500000060 api.lat.count 1 |c\n" +
+                "1500000060 api.lat.p50 500 |g\n" +
+                "1500000060 api.lat.p99 500 |g\n" +
+                "1500000060 api.lat.max 500 |g\n");
+            assert.equal(cut.summarizeJournalContents(contents, []), contents);
+            done();
+        })
+
+        it ('summarizeJournalContents should use the first matching rule', function(done) {
+            var contents = "1500000005 api.lat 1\n1500000005 db.lat 2\n1500000005 db.lat 4\n";
+            var summary = cut.summarizeJournalContents(contents, [{ match: /^db[.]/, percentiles: [] }, { percentiles: [50], bucketWidth: 10 }]);
+            assert.equal(summary,
+                "1500000000 api.lat.count 1 |c\n" +
+                "1500000000 api.lat.p50 1 |g\n" +
+                "1500000000 api.lat.max 1 |g\n" +
+                "1500000000 db.lat.count 2 |c\n" +
+                "1500000000 db.lat.max 4 |g\n");
+            done();
+        })
+
+        it ('summarizeJournalContents should summarize separately by tags', function(done) {
+            var contents = "1500000000 lat 1 #a=1\n1500000000 lat 2 #a=2\n1500000000 lat 3 #a=1\n";
+            var summary = cut.summarizeJournalContents(contents, [{ percentiles: [] }]);
+            assert.equal(summary,
+                "1500000000 lat.count 2 |c #a=1\n" +
+                "1500000000 lat.max 3 |g #a=1\n" +
+                "1500000000 lat.count 1 |c #a=2\n" +
+                "1500000000 lat.max 2 |g #a=2\n");
+            done();
+        })
+
+        it ('uploadToBackend should summarize for any backend', function(done) {
+            var uploaded;
+            KStats.registerBackend('unit-test', {
+                parse: function(contents, config) { return contents },
+                upload: function(data, config, cb) { uploaded = data; cb() },
+            });
+            cut.uploadToBackend('unit-test', "1500000001 x 1\n", { summaries: [{ percentiles: [90] }] }, function(err) {
+                KStats.unregisterBackend('unit-test');
+                assert.equal(uploaded, "1500000000 x.count 1 |c\n1500000000 x.p90 1 |g\n1500000000 x.max 1 |g\n");
+                done();
+            })
+        })
+    })
+
+    describe ('prometheus', function() {
+        var PrometheusRegistry = require('./lib/prometheus.js');
+
+        beforeEach (function(done) {
+            cut = new KStats({
+                journal: { write: function(line) { lines.push(line) } },
+                prefix: "unit.test.",
+                tags: { region: 'east' },
+                prometheus: { buckets: [10, 100] },
+            });
+            done();
+        })
+
+        it ('should sanitize names and labels', function(done) {
+            assert.equal(PrometheusRegistry.sanitizeName('host-1.unit.test:x'), 'host_1_unit_test:x');
+            assert.equal(PrometheusRegistry.sanitizeName('1abc'), '_1abc');
+            assert.equal(PrometheusRegistry.formatLabels({ 'b.x': 'say "hi"\n\\', a: 1 }), 'a="1",b_x="say \\"hi\\"\\n\\\\"');
+            assert.equal(PrometheusRegistry.formatLabels(null), '');
+            done();
+        })
+
+        it ('should keep counters, gauges and histograms and also journal', function(done) {
+            cut.logCounter('hits', 2, { tags: { status: 200 } });
+            cut.logCounter('hits', 3, { tags: { status: 200 } });
+            cut.logCounter('hits', 1, { tags: { status: 500 } });
+            cut.logGauge('temp', 20);
+            cut.logStat('temp', 21);
+            cut.logStat('temp', 'x');
+            cut.logTiming('lat', 5);
+            cut.logTiming('lat', 50);
+            cut.logTiming('lat', 500);
+            cut.logSet('users', 'a');
+            cut.logGauge('hits', 7);
+            assert.equal(lines.length, 11);
+            assert.equal(cut.prometheus.format(),
+                '# HELP unit_test_hits unit.test.hits\n' +
+                '# TYPE unit_test_hits counter\n' +
+                'unit_test_hits{region="east",status="200"} 5\n' +
+                'unit_test_hits{region="east",status="500"} 1\n' +
+                '# HELP unit_test_temp unit.test.temp\n' +
+                '# TYPE unit_test_temp gauge\n' +
+                'unit_test_temp{region="east"} 21\n' +
+                '# HELP unit_test_lat unit.test.lat\n' +
+                '# TYPE unit_test_lat histogram\n' +
+                'unit_test_lat_bucket{region="east",le="10"} 1\n' +
+                'unit_test_lat_bucket{region="east",le="100"} 2\n' +
+                'unit_test_lat_bucket{region="east",le="+Inf"} 3\n' +
+                'unit_test_lat_sum{region="east"} 555\n' +
+                'unit_test_lat_count{region="east"} 3\n');
+            done();
+        })
+
+        it ('should weight the sampled stats by 1/rate', function(done) {
+            var random = Math.random;
+            Math.random = function() { return 0.05 };
+            for (var i=0; i<10; i++) cut.logTiming('lat', 5, { sampleRate: 0.1 });
+            cut.logCounter('hits', 1, { sampleRate: 0.1 });
+            Math.random = random;
+            assert.equal(cut.prometheus.format(),
+                '# HELP unit_test_lat unit.test.lat\n' +
+                '# TYPE unit_test_lat histogram\n' +
+                'unit_test_lat_bucket{region="east",le="10"} 100\n' +
+                'unit_test_lat_bucket{region="east",le="100"} 100\n' +
+                'unit_test_lat_bucket{region="east",le="+Inf"} 100\n' +
+                'unit_test_lat_sum{region="east"} 500\n' +
+                'unit_test_lat_count{region="east"} 100\n' +
+                '# HELP unit_test_hits unit.test.hits\n' +
+                '# TYPE unit_test_hits counter\n' +
+                'unit_test_hits{region="east"} 10\n');
+            done();
+        })
+
+        it ('listen should serve the metrics on /metrics', function(done) {
+            cut.logCounter('hits');
+            var server = cut.listen(1339, function() {
+                http.get('http://127.0.0.1:1339/metrics', function(res) {
+                    var body = '';
+                    res.on('data', function(chunk) { body += chunk });
+                    res.on('end', function() {
+                        assert.equal(res.statusCode, 200);
+                        assert.ok(/^text\/plain; version=0.0.4/.test(res.headers['content-type']));
+                        assert.ok(body.indexOf('\nunit_test_hits{region="east"} 1\n') > 0);
+                        http.get('http://127.0.0.1:1339/other', function(res) {
+                            res.resume();
+                            assert.equal(res.statusCode, 404);
+                            server.close();
+                            done();
+                        })
+                    })
+                })
+            })
+        })
+
+        it ('createPrometheusHandler should enable the registry', function(done) {
+            cut = new KStats({ journal: { write: function(line) { lines.push(line) } }, prefix: 'x.' });
+            cut.logCounter('before');
+            assert.equal(cut.prometheus, null);
+            var handler = cut.createPrometheusHandler();
+            cut.logCounter('after');
+            var res = {
+                writeHead: function(status, headers) { this.status = status; this.headers = headers },
+                end: function(body) { this.body = body },
+            };
+            handler({ method: 'GET', url: '/metrics' }, res);
+            assert.equal(res.status, 200);
+            assert.equal(res.body, '# HELP x_after x.after\n# TYPE x_after counter\nx_after 1\n');
+            assert.equal(res.headers['Content-Length'], res.body.length);
+            done();
+        })
+    })
+
     describe ('uploadStatsFromJournal', function() {
         var tempfile = "/tmp/unit-kstats.tmp";
         var grabfile = "/tmp/unit-kstats.tmp" + ".up";
@@ -221,82 +858,1151 @@ describe ('KStats', function() {
                 }
             )
         })
-    })
 
-    describe ('backends', function() {
-        var serverData = null;
-        var server = null;
+        describe ('batches', function() {
+            var checkpointfile = grabfile + ".offset";
 
-        beforeEach(function(done) {
-            serverData = "";
-            // small loopback server to register the backend call
-            server = http.createServer(function(req, res) {
-                req.setEncoding('utf8');
-                req.on('data', function(chunk) { serverData += chunk });
-                req.on('end', function() { res.writeHead(200) ; res.end() });
-                req.on('error', function(err) { /* suppress */ });
-                // if forcing an error response, still go through the on 'end' 200 response codepath
-                if (req.url == '/error') { res.writeHead(400) ; res.end("deliberate error") }
+            beforeEach (function(done) {
+                fs.writeFileSync(tempfile, "line1\nline2\nline3\nline4\nline5");
+                try { fs.unlinkSync(checkpointfile) } catch (e) { }
+                done();
             })
-            server.listen(1337);
-            done();
-        })
 
-        afterEach(function(done) {
-            server.close();
-            done();
-        })
+            afterEach (function(done) {
+                try { fs.unlinkSync(checkpointfile) } catch (e) { }
+                done();
+            })
 
-        it ('stackdriver _parseJournalStackdriverContents should build stats data array', function(done) {
-            var timestamp = cut.makeTimestamp();
-            cut.logStat('stat1-name', 111, timestamp);
-            cut.logStat('stat2-name', 222, timestamp);
-            cut.logStat('stat3-name', 333, timestamp);
-            var data = cut._parseJournalStackdriverContents(lines.join(""));
-            assert.equal(data.length, 3);
-            assert.equal(data[0].value, 111);
-            assert.equal(data[1].collected_at, new Date(timestamp)/1000 >>> 0);
-            done();
-        })
+            it ('_batchEnd should find the end of the last whole line', function(done) {
+                var buf = fromBuf("ab\ncd\nef");
+                assert.equal(KStats._batchEnd(buf, Infinity, false), 6);
+                assert.equal(KStats._batchEnd(buf, Infinity, true), 8);
+                assert.equal(KStats._batchEnd(buf, 1, true), 3);
+                assert.equal(KStats._batchEnd(fromBuf("abc"), Infinity, false), 0);
+                done();
+            })
 
-        it ('_parseJournalStackdriverContents should reject old samples', function(done) {
-            var rejects = [];
-            cut.rejectedLines(rejects);
-            var data = cut._parseJournalStackdriverContents("1 sample 1.0\n" + (Date.now()/1000 >>> 0) + " sample 2.0\n" + "3 sample 3.0");
-            assert.equal(rejects.length, 2);
-            assert.equal(data.length, 1);
-            assert.equal(rejects[0], '1 sample 1.0');
-            assert.equal(rejects[1], '3 sample 3.0');
-            cut.rejectedLines([]);
-            done();
+            it ('should upload in batches of maxLines', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var batches = [];
+                kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(batches, ["line1\nline2\n", "line3\nline4\n", "line5"]);
+                    assert.throws(function() { fs.statSync(grabfile) });
+                    assert.throws(function() { fs.statSync(checkpointfile) });
+                    done();
+                })
+            })
+
+            it ('should upload in batches of maxBytes', function(done) {
+                fs.writeFileSync(tempfile, "line1\nline2\nline3\nlong-long-line4\nline5\n");
+                var kstats = new KStats({ uploadBatch: { maxBytes: 13 } });
+                var batches = [];
+                kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(batches, ["line1\nline2\n", "line3\n", "long-long-line4\n", "line5\n"]);
+                    done();
+                })
+            })
+
+            it ('should resume after the last accepted batch', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var batches = [];
+                kstats.uploadStatsFromJournal(tempfile,
+                    function(contents, cb) {
+                        batches.push(contents);
+                        cb(batches.length === 2 ? new Error("deliberate") : null);
+                    },
+                    function(err) {
+                        assert.equal(err.message, "deliberate");
+                        assert.equal(JSON.parse(fs.readFileSync(checkpointfile)).offset, 12);
+                        kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                            assert.ifError(err);
+                            assert.deepEqual(batches, ["line1\nline2\n", "line3\nline4\n", "line3\nline4\n", "line5"]);
+                            assert.throws(function() { fs.statSync(grabfile) });
+                            assert.throws(function() { fs.statSync(checkpointfile) });
+                            done();
+                        })
+                    }
+                )
+            })
+
+            it ('should ignore a checkpoint made for another file', function(done) {
+                fs.writeFileSync(checkpointfile, JSON.stringify({ ino: -1, offset: 12 }));
+                var kstats = new KStats({});
+                kstats.uploadStatsFromJournal(tempfile, function(contents, cb) {
+                    assert.equal(contents, "line1\nline2\nline3\nline4\nline5");
+                    cb();
+                }, done);
+            })
+
+            it ('should give each batch a stable batch id', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var ids = [];
+                kstats.uploadStatsFromJournal(tempfile, function(contents, cb, batchInfo) {
+                    ids.push(batchInfo.batchId);
+                    cb(ids.length === 2 ? new Error("deliberate") : null);
+                }, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    kstats.uploadStatsFromJournal(tempfile, function(contents, cb, batchInfo) { ids.push(batchInfo.batchId); cb() }, function(err) {
+                        assert.ifError(err);
+                        assert.equal(ids.length, 4);
+                        assert.ok(/^[0-9a-f]{24}$/.test(ids[0]));
+                        assert.equal(ids[2], ids[1]);
+                        assert.ok(ids[0] !== ids[1] && ids[1] !== ids[3]);
+                        done();
+                    })
+                })
+            })
+
+            it ('should summarize a time bucket split across batches', function(done) {
+                var lines = [];
+                for (var i=1; i<=10; i++) lines.push((1500000000 + i) + " lat " + i * 10);
+                fs.writeFileSync(tempfile, lines.join("\n") + "\n");
+                var uploaded = [];
+                var failures = 0;
+                KStats.registerBackend('unit-test', {
+                    parse: function(contents) { return contents },
+                    upload: function(data, config, cb, batchInfo) {
+                        if (batchInfo.last && failures++ === 0) return cb(new Error("deliberate"));
+                        uploaded.push(data);
+                        cb();
+                    },
+                });
+                var kstats = new KStats({ uploadBatch: { maxLines: 5 } });
+                var uploader = kstats._loopUploadFunction(tempfile, 'unit-test', { summaries: [{ percentiles: [50] }] }, function(){});
+                kstats.uploadStatsFromJournal(tempfile, uploader, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    kstats.uploadStatsFromJournal(tempfile, uploader, function(err) {
+                        KStats.unregisterBackend('unit-test');
+                        assert.ifError(err);
+                        assert.equal(uploaded.length, 2);
+                        assert.equal(uploaded[0], "");
+                        var summary = uploaded[1].split("\n");
+                        assert.equal(summary[0], "1500000000 lat.count 10 |c");
+                        assert.ok(Math.abs(summary[1].split(" ")[2] - 50) <= 1);
+                        assert.equal(summary[2], "1500000000 lat.max 100 |g");
+                        assert.equal(summary[3], "");
+                        assert.deepEqual(kstats._summaryCarries, {});
+                        done();
+                    })
+                })
+            })
         })
 
-        it ('stackdriver should send http POST request', function(done) {
-            var stackdriverConfig = {
-                host: 'localhost',
-                port: 1337,
-                apiKey: 'x',
-            };
-            cut.logMemoryUsage({rss: 250, heapTotal: 230, heapUsed: 120});
-            var journalContents = lines.join('');
-            cut.uploadToStackdriver(journalContents, stackdriverConfig, function(err) {
-                assert.equal(serverData.slice(0, 13), '{"timestamp":');
-                var json = JSON.parse(serverData);
+        describe ('segments', function() {
+            var segDir = "/tmp/unit-kstats-seg";
+            var journal = segDir + "/stats.log";
 
-                // unset the annotations to match the expected input
-                for (var i in json.data) delete json.data[i].collected_at;
+            function rmSegDir( ) {
+                try { fs.readdirSync(segDir).forEach(function(f) { fs.unlinkSync(segDir + '/' + f) }) } catch (e) { }
+                try { fs.rmdirSync(segDir) } catch (e) { }
+            }
 
-                assert.deepEqual(json.data[0], {name: "unit.test.mem_rss", value: 250});
-                assert.deepEqual(json.data[1], {name: "unit.test.mem_heap_total", value: 230});
-                assert.deepEqual(json.data[2], {name: "unit.test.mem_heap_used", value: 120});
+            function collectUpload( uploads, failWhen ) {
+                return function(contents, cb) {
+                    uploads.push(contents);
+                    cb(failWhen && failWhen(contents) ? new Error("deliberate") : null);
+                }
+            }
+
+            beforeEach (function(done) {
+                rmSegDir();
+                fs.mkdirSync(segDir);
                 done();
             })
-        })
 
-        it ('stackdriver should return error on http error', function(done) {
-            var stackdriverConfig = {
-                host: 'localhost',
-                port: 1337,
+            afterEach (function(done) {
+                rmSegDir();
+                done();
+            })
+
+            it ('should reject an unknown segments policy', function(done) {
+                assert.throws(function() { new KStats({ segments: { policy: 'refuse' } }) }, /refuse: unknown segments policy/);
+                new KStats({ segments: { policy: 'refuseNew' } });
+                new KStats({ segments: { policy: 'dropOldest' } });
+                done();
+            })
+
+            it ('should capture the journal into a numbered segment and upload it', function(done) {
+                var kstats = new KStats({ segments: true });
+                fs.writeFileSync(journal, "a\n");
+                var uploads = [];
+                kstats.uploadStatsFromJournal(journal, function(contents, cb) {
+                    assert.deepEqual(fs.readdirSync(segDir), ['stats.log.up.1']);
+                    uploads.push(contents);
+                    cb();
+                }, function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(uploads, ["a\n"]);
+                    assert.deepEqual(fs.readdirSync(segDir), []);
+                    done();
+                })
+            })
+
+            it ('should capture new data behind a failing segment and upload oldest first', function(done) {
+                var kstats = new KStats({ segments: {} });
+                fs.writeFileSync(journal + ".up", "legacy\n");
+                fs.writeFileSync(journal + ".up.3", "three\n");
+                fs.writeFileSync(journal, "four\n");
+                var uploads = [];
+                kstats.uploadStatsFromJournal(journal, collectUpload(uploads, function(c) { return c === "three\n" }), function(err) {
+                    assert.equal(err.message, "deliberate");
+                    assert.deepEqual(uploads, ["legacy\n", "three\n"]);
+                    assert.deepEqual(fs.readdirSync(segDir).sort(), ['stats.log.up.3', 'stats.log.up.4']);
+                    fs.writeFileSync(journal, "five\n");
+                    kstats.uploadStatsFromJournal(journal, collectUpload(uploads), function(err) {
+                        assert.ifError(err);
+                        assert.deepEqual(uploads, ["legacy\n", "three\n", "three\n", "four\n", "five\n"]);
+                        assert.deepEqual(fs.readdirSync(segDir), []);
+                        done();
+                    })
+                })
+            })
+
+            it ('should upload pending segments if the journal does not exist', function(done) {
+                var kstats = new KStats({ segments: true });
+                fs.writeFileSync(journal + ".up.7", "seven\n");
+                var uploads = [];
+                kstats.uploadStatsFromJournal(journal, collectUpload(uploads), function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(uploads, ["seven\n"]);
+                    kstats.uploadStatsFromJournal(journal, collectUpload(uploads), function(err) {
+                        assert.ok(err && err.code === 'ENOENT');
+                        done();
+                    })
+                })
+            })
+
+            it ('should drop the oldest segments when over the limits', function(done) {
+                var deadDir = segDir + "/dead";
+                var kstats = new KStats({ segments: { maxSegments: 2, maxBytes: 100 } });
+                fs.writeFileSync(journal + ".up.1", "one\n");
+                fs.writeFileSync(journal + ".up.2", "two\n");
+                fs.writeFileSync(journal, "three\n");
+                var uploads = [];
+                kstats.uploadStatsFromJournal(journal, collectUpload(uploads, function() { return true }), function(err) {
+                    assert.deepEqual(uploads, ["two\n"]);
+                    assert.deepEqual(fs.readdirSync(segDir).sort(), ['stats.log.up.2', 'stats.log.up.3']);
+
+                    kstats = new KStats({ segments: { maxBytes: 12 }, deadLetterDir: deadDir });
+                    fs.writeFileSync(journal, "four\n");
+                    kstats.uploadStatsFromJournal(journal, collectUpload(uploads, function() { return true }), function(err) {
+                        assert.deepEqual(uploads, ["two\n", "three\n"]);
+                        assert.deepEqual(fs.readdirSync(segDir).sort(), ['dead', 'stats.log.up.3', 'stats.log.up.4']);
+                        var deadFiles = fs.readdirSync(deadDir).sort();
+                        assert.equal(fs.readFileSync(deadDir + '/' + deadFiles[0]).toString(), "two\n");
+                        assert.equal(JSON.parse(fs.readFileSync(deadDir + '/' + deadFiles[1])).reason, "segment limit exceeded");
+                        deadFiles.forEach(function(f) { fs.unlinkSync(deadDir + '/' + f) });
+                        fs.rmdirSync(deadDir);
+                        done();
+                    })
+                })
+            })
+
+            it ('should not capture the journal when over the limits with the refuseNew policy', function(done) {
+                var kstats = new KStats({ segments: { maxSegments: 1, policy: 'refuseNew' } });
+                fs.writeFileSync(journal + ".up.1", "one\n");
+                fs.writeFileSync(journal, "two\n");
+                var uploads = [];
+                kstats.uploadStatsFromJournal(journal, collectUpload(uploads, function() { return true }), function(err) {
+                    assert.deepEqual(uploads, ["one\n"]);
+                    assert.deepEqual(fs.readdirSync(segDir).sort(), ['stats.log', 'stats.log.up.1']);
+                    done();
+                })
+            })
+        })
+
+        describe ('retry', function() {
+            var deadDir = "/tmp/unit-kstats-dead";
+
+            function rmDeadDir( ) {
+                try { fs.readdirSync(deadDir).forEach(function(f) { fs.unlinkSync(deadDir + '/' + f) }) } catch (e) { }
+                try { fs.rmdirSync(deadDir) } catch (e) { }
+            }
+
+            beforeEach (function(done) {
+                rmDeadDir();
+                done();
+            })
+
+            afterEach (function(done) {
+                rmDeadDir();
+                done();
+            })
+
+            function failUpload( contents, cb ) {
+                cb(new Error("deliberate"), "response");
+            }
+
+            it ('should back off before retrying a failed upload', function(done) {
+                var kstats = new KStats({ retry: { initialDelay: 100000, jitter: 0 } });
+                kstats.uploadStatsFromJournal(tempfile, failUpload, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    var attempts = kstats._uploadAttempts[grabfile];
+                    assert.equal(attempts.count, 1);
+                    assert.ok(attempts.retryAt >= Date.now() + 99000);
+                    kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { assert.fail("should not upload") }, function(err) {
+                        assert.ifError(err);
+                        assert.ok(fs.readFileSync(grabfile).length > 0);
+                        attempts.retryAt = 0;
+                        kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { cb() }, function(err) {
+                            assert.ifError(err);
+                            assert.equal(kstats._uploadAttempts[grabfile], undefined);
+                            assert.throws(function() { fs.statSync(grabfile) });
+                            done();
+                        })
+                    })
+                })
+            })
+
+            it ('should double the delay up to maxDelay', function(done) {
+                var kstats = new KStats({ retry: { initialDelay: 1000, maxDelay: 3000, jitter: 0 } });
+                var delays = [];
+                (function fail( n ) {
+                    if (n <= 0) {
+                        assert.deepEqual(delays, [1000, 2000, 3000, 3000]);
+                        return done();
+                    }
+                    kstats._uploadFailed(grabfile, new Error("deliberate"), function(err, message) {
+                        assert.ifError(err);
+                        assert.equal(message, undefined);
+                        delays.push(Math.round((kstats._uploadAttempts[grabfile].retryAt - Date.now()) / 100) * 100);
+                        fail(n - 1);
+                    })
+                })(4);
+            })
+
+            it ('should move the batch to the dead-letter directory after maxAttempts', function(done) {
+                var kstats = new KStats({ retry: { maxAttempts: 2 }, deadLetterDir: deadDir });
+                var expectContents = fs.readFileSync(tempfile).toString();
+                kstats.uploadStatsFromJournal(tempfile, failUpload, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    assert.ok(fs.statSync(grabfile));
+                    kstats.uploadStatsFromJournal(tempfile, failUpload, function(err) {
+                        assert.equal(err.message, "deliberate");
+                        assert.ok(/moved .* after 2 attempts/.test(err.debug));
+                        assert.throws(function() { fs.statSync(grabfile) });
+                        var files = fs.readdirSync(deadDir).sort();
+                        assert.equal(files.length, 2);
+                        assert.ok(files[0].indexOf('unit-kstats.tmp.up.') === 0);
+                        assert.equal(fs.readFileSync(deadDir + '/' + files[0]).toString(), expectContents);
+                        var reason = JSON.parse(fs.readFileSync(deadDir + '/' + files[1]));
+                        assert.equal(reason.reason, "upload failed: deliberate");
+                        assert.equal(reason.attempts, 2);
+                        assert.equal(reason.source, grabfile);
+                        done();
+                    })
+                })
+            })
+
+            it ('should discard the batch after maxAttempts without a dead-letter directory', function(done) {
+                var kstats = new KStats({ retry: { maxAttempts: 1 } });
+                kstats.uploadStatsFromJournal(tempfile, failUpload, function(err) {
+                    assert.ok(/discarded .* after 1 attempts/.test(err.debug));
+                    assert.throws(function() { fs.statSync(grabfile) });
+                    done();
+                })
+            })
+
+            it ('uploadLoop should save rejected lines to the dead-letter directory', function(done) {
+                var kstats = new KStats({ deadLetterDir: deadDir });
+                fs.writeFileSync(tempfile, "bad line\n");
+                var timer = kstats.uploadLoop(tempfile, 'statsd', { port: 1338 }, 10, function(err, message) {
+                    clearInterval(timer);
+                    assert.ok(/did not upload/.test(message));
+                    setTimeout(function() {
+                        var files = fs.readdirSync(deadDir).sort();
+                        assert.equal(files.length, 2);
+                        assert.ok(files[0].indexOf('unit-kstats.tmp.rejected.') === 0);
+                        assert.equal(fs.readFileSync(deadDir + '/' + files[0]).toString(), "bad line\n");
+                        assert.equal(JSON.parse(fs.readFileSync(deadDir + '/' + files[1])).reason, "statsd: rejected lines");
+                        done();
+                    }, 20);
+                })
+            })
+        })
+
+        describe ('self stats', function() {
+            var journalLines;
+
+            function selfStat( name ) {
+                for (var i=0; i<journalLines.length; i++) {
+                    var fields = journalLines[i].trim().split(' ');
+                    if (fields[1] === 'unit.' + name) return fields.slice(2).join(' ');
+                }
+            }
+
+            it ('should journal the stats pipeline health metrics', function(done) {
+                journalLines = [];
+                var kstats = new KStats({
+                    journal: { write: function(line) { journalLines.push(line) } },
+                    prefix: 'unit.',
+                    selfStats: { interval: 100000 },
+                });
+                kstats.logStat('a', 1);
+                kstats.logStat('b', 2);
+                var size = fs.statSync(tempfile).size;
+                kstats.uploadStatsFromJournal(tempfile, function(contents, cb) {
+                    kstats.uploadToBackend('graphite', contents + "bad line\n", {}, function() {}, {});
+                    cb();
+                }, function(err) {
+                    assert.ifError(err);
+                    fs.writeFileSync(tempfile, "x\n");
+                    kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { cb(new Error("deliberate")) }, function(err) {
+                        assert.equal(err.message, "deliberate");
+                        journalLines = [];
+                        kstats.logSelfStats(function() {
+                            assert.equal(selfStat('kstats.lines_written'), '2 |c');
+                            assert.equal(selfStat('kstats.uploads'), '1 |c');
+                            assert.equal(selfStat('kstats.upload_failures'), '1 |c');
+                            assert.equal(selfStat('kstats.upload_bytes'), size + ' |c');
+                            assert.ok(/^[0-9]+ \|ms$/.test(selfStat('kstats.upload_latency')));
+                            assert.equal(selfStat('kstats.rejected'), '1 |c #reason=BAD_FIELDS');
+                            assert.equal(selfStat('kstats.journal_bytes'), '0 |g');
+                            assert.equal(selfStat('kstats.pending_files'), '1 |g');
+                            assert.equal(selfStat('kstats.pending_bytes'), '2 |g');
+                            assert.ok(/^[0-9]+ \|g$/.test(selfStat('kstats.oldest_pending_age')));
+
+                            // the counts restart after every report
+                            journalLines = [];
+                            kstats.logSelfStats(function() {
+                                assert.equal(selfStat('kstats.lines_written'), '11 |c');
+                                assert.equal(selfStat('kstats.uploads'), '0 |c');
+                                assert.equal(selfStat('kstats.rejected'), undefined);
+                                kstats.stopSelfStats();
+                                journalLines = [];
+                                kstats.logSelfStats(function() {
+                                    assert.deepEqual(journalLines, []);
+                                    done();
+                                });
+                            });
+                        });
+                    })
+                })
+            })
+
+            it ('should not track the pipeline health unless enabled', function(done) {
+                journalLines = [];
+                var kstats = new KStats({ journal: { write: function(line) { journalLines.push(line) } } });
+                kstats.logStat('a', 1);
+                kstats.logSelfStats();
+                assert.equal(journalLines.length, 1);
+                assert.equal(kstats._selfStatsTimer, null);
+                done();
+            })
+        })
+
+        describe ('fan-out', function() {
+            var checkpointfile = grabfile + ".offset";
+            var deadDir = "/tmp/unit-kstats-dead";
+
+            function rmDeadDir( ) {
+                try { fs.readdirSync(deadDir).forEach(function(f) { fs.unlinkSync(deadDir + '/' + f) }) } catch (e) { }
+                try { fs.rmdirSync(deadDir) } catch (e) { }
+            }
+
+            beforeEach (function(done) {
+                fs.writeFileSync(tempfile, "line1\nline2\nline3\n");
+                try { fs.unlinkSync(checkpointfile) } catch (e) { }
+                rmDeadDir();
+                done();
+            })
+
+            afterEach (function(done) {
+                try { fs.unlinkSync(checkpointfile) } catch (e) { }
+                rmDeadDir();
+                done();
+            })
+
+            it ('should deliver the journal to every destination and then remove it', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var uploads = { a: [], b: [] };
+                kstats.uploadStatsFromJournal(tempfile, {
+                    a: function(contents, cb) { uploads.a.push(contents); cb() },
+                    b: function(contents, cb) { uploads.b.push(contents); cb() },
+                }, function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(uploads, { a: ["line1\nline2\n", "line3\n"], b: ["line1\nline2\n", "line3\n"] });
+                    assert.throws(function() { fs.statSync(grabfile) });
+                    assert.throws(function() { fs.statSync(checkpointfile) });
+                    done();
+                })
+            })
+
+            it ('should retry only the destination that failed', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var uploads = { a: [], b: [] };
+                kstats.uploadStatsFromJournal(tempfile, {
+                    a: function(contents, cb) { uploads.a.push(contents); cb() },
+                    b: function(contents, cb) { uploads.b.push(contents); cb(uploads.b.length === 2 ? new Error("deliberate") : null, "response") },
+                }, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    assert.ok(/error uploading stats to b: response/.test(err.debug));
+                    assert.deepEqual(JSON.parse(fs.readFileSync(checkpointfile)).offsets, { a: 18, b: 12 });
+                    assert.equal(kstats._uploadAttempts[grabfile + '|b'].count, 1);
+                    kstats.uploadStatsFromJournal(tempfile, {
+                        a: function(contents, cb) { uploads.a.push(contents); cb() },
+                        b: function(contents, cb) { uploads.b.push(contents); cb() },
+                    }, function(err) {
+                        assert.ifError(err);
+                        assert.deepEqual(uploads.a, ["line1\nline2\n", "line3\n"]);
+                        assert.deepEqual(uploads.b, ["line1\nline2\n", "line3\n", "line3\n"]);
+                        assert.equal(kstats._uploadAttempts[grabfile + '|b'], undefined);
+                        assert.throws(function() { fs.statSync(grabfile) });
+                        assert.throws(function() { fs.statSync(checkpointfile) });
+                        done();
+                    })
+                })
+            })
+
+            it ('should keep delivering newer segments to the destinations that did not fail', function(done) {
+                var kstats = new KStats({ segments: true });
+                var uploads = { a: [], b: [] };
+                var uploaders = {
+                    a: function(contents, cb) { uploads.a.push(contents); cb() },
+                    b: function(contents, cb) { uploads.b.push(contents); cb(new Error("deliberate")) },
+                };
+                kstats.uploadStatsFromJournal(tempfile, uploaders, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    fs.writeFileSync(tempfile, "line4\n");
+                    kstats.uploadStatsFromJournal(tempfile, uploaders, function(err) {
+                        assert.equal(err.message, "deliberate");
+                        assert.deepEqual(uploads.a, ["line1\nline2\nline3\n", "line4\n"]);
+                        // the failed destination is not sent the newer segment out of order
+                        assert.deepEqual(uploads.b, ["line1\nline2\nline3\n", "line1\nline2\nline3\n"]);
+                        kstats._listSegments(tempfile, function(err, segments) {
+                            assert.deepEqual(segments.map(function(seg) { return seg.number }), [1, 2]);
+                            uploaders.b = function(contents, cb) { uploads.b.push(contents); cb() };
+                            kstats.uploadStatsFromJournal(tempfile, uploaders, function(err) {
+                                assert.ifError(err);
+                                assert.deepEqual(uploads.a, ["line1\nline2\nline3\n", "line4\n"]);
+                                assert.deepEqual(uploads.b.slice(2), ["line1\nline2\nline3\n", "line4\n"]);
+                                kstats._listSegments(tempfile, function(err, segments) {
+                                    assert.deepEqual(segments, []);
+                                    done();
+                                })
+                            })
+                        })
+                    })
+                })
+            })
+
+            it ('should save the undelivered stats of a destination given up on to the dead-letter directory', function(done) {
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 }, retry: { maxAttempts: 1 }, deadLetterDir: deadDir });
+                kstats.uploadStatsFromJournal(tempfile, {
+                    a: function(contents, cb) { cb() },
+                    b: function(contents, cb) { cb(contents === "line3\n" ? new Error("deliberate") : null) },
+                }, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    assert.ok(/saved .* for b to .* after 1 attempts/.test(err.debug));
+                    assert.throws(function() { fs.statSync(grabfile) });
+                    assert.throws(function() { fs.statSync(checkpointfile) });
+                    var files = fs.readdirSync(deadDir).sort();
+                    assert.equal(files.length, 2);
+                    assert.ok(files[0].indexOf('unit-kstats.tmp.up.b.') === 0);
+                    assert.equal(fs.readFileSync(deadDir + '/' + files[0]).toString(), "line3\n");
+                    var reason = JSON.parse(fs.readFileSync(deadDir + '/' + files[1]));
+                    assert.equal(reason.reason, "b: upload failed: deliberate");
+                    assert.equal(reason.destination, 'b');
+                    assert.equal(reason.uploadedOffset, 12);
+                    done();
+                })
+            })
+
+            it ('uploadLoop should accept a list of backends each with its config', function(done) {
+                var timer = cut.uploadLoop(tempfile, ['statsd', 'graphite'], { statsd: { port: 1338 }, graphite: { port: 1341 } }, 100000);
+                clearInterval(timer);
+                assert.throws(function() { cut.uploadLoop(tempfile, ['statsd', 'nonesuch'], { statsd: {}, nonesuch: {} }) }, /nonesuch: stats upload not supported/);
+                assert.throws(function() { cut.uploadLoop(tempfile, ['statsd', 'graphite'], { statsd: {} }) }, /graphite: stats upload backend not configured/);
+                done();
+            })
+        })
+    })
+
+    describe ('promises', function() {
+        var tempfile = "/tmp/unit-kstats.tmp";
+        var grabfile = tempfile + ".up";
+        var checkpointfile = grabfile + ".offset";
+        useJournalFiles(tempfile);
+
+        if (typeof Promise !== 'function') return;
+
+        it ('should return a promise if no callback', function(done) {
+            var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+            var batches = [];
+            var promise = kstats.uploadStatsFromJournal(tempfile, function(contents) {
+                batches.push(contents);
+                return Promise.resolve('ok');
+            });
+            promise.then(function() {
+                assert.deepEqual(batches, ["line1\nline2\n", "line3\nline4\n", "line5"]);
+                assert.throws(function() { fs.statSync(grabfile) });
+                done();
+            }, done);
+        })
+
+        it ('should retry the batch whose upload promise rejected', function(done) {
+            var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+            var calls = 0;
+            kstats.uploadStatsFromJournal(tempfile, function(contents) {
+                return ++calls === 2 ? Promise.reject(new Error("deliberate")) : Promise.resolve();
+            })
+            .then(function() { done(new Error("expected an error")) }, function(err) {
+                assert.equal(err.message, "deliberate");
+                assert.equal(JSON.parse(fs.readFileSync(checkpointfile)).offset, 12);
+                done();
+            });
+        })
+
+        it ('uploadToBackend should return a promise of the response', function(done) {
+            KStats.registerBackend('unit-test', {
+                parse: function(contents) { return contents.split("\n").filter(function(line) { return line }) },
+                upload: function(data, config, cb) { data[0] === 'error' ? cb(new Error("deliberate")) : cb(null, data.length) },
+            });
+            cut.uploadToBackend('unit-test', "a\nb\n", {}).then(function(count) {
+                assert.equal(count, 2);
+                return cut.uploadToBackend('unit-test', "error\n", {});
+            })
+            .then(function() { done(new Error("expected an error")) }, function(err) {
+                KStats.unregisterBackend('unit-test');
+                assert.equal(err.message, "deliberate");
+                done();
+            });
+        })
+
+        it ('lookUpInstanceId should return a promise', function(done) {
+            var promise = cut.lookUpInstanceId();
+            assert.equal(typeof promise.then, 'function');
+            promise.then(function() { done() }, function() { done() });
+        })
+    })
+
+    describe ('startUploadLoop', function() {
+        var tempfile = "/tmp/unit-kstats.tmp";
+        useJournalFiles(tempfile);
+
+        beforeEach (function(done) {
+            KStats.registerBackend('unit-test', {
+                parse: function(contents) { return contents },
+                upload: function(data, config, cb) { setTimeout(function() { cb(config.fail ? new Error("deliberate") : null, 'ok') }, 10) },
+            });
+            done();
+        })
+
+        afterEach (function(done) {
+            KStats.unregisterBackend('unit-test');
+            done();
+        })
+
+        it ('flushNow should upload and status should report it', function(done) {
+            var controller = cut.startUploadLoop(tempfile, 'unit-test', {}, { interval: 100000 });
+            assert.deepEqual(controller.status(), { running: true, uploading: false, uploads: 0, failures: 0, lastUploadTime: null, lastError: null });
+            controller.flushNow(function(err) {
+                assert.ifError(err);
+                assert.throws(function() { fs.statSync(tempfile) });
+                var status = controller.status();
+                assert.equal(status.uploads, 1);
+                assert.ok(status.lastUploadTime > 0);
+                controller.stop(function() {
+                    assert.equal(controller.status().running, false);
+                    done();
+                });
+            });
+        })
+
+        it ('stop should wait for the upload in progress', function(done) {
+            var errors = [];
+            var controller = cut.startUploadLoop(tempfile, 'unit-test', { fail: true }, { interval: 5, onError: function(err) { errors.push(err) } });
+            setTimeout(function() {
+                assert.equal(controller.status().uploading, true);
+                controller.stop(function() {
+                    var status = controller.status();
+                    assert.equal(status.uploading, false);
+                    assert.equal(status.failures, 1);
+                    assert.equal(status.lastError.message, "deliberate");
+                    assert.equal(errors[0].message, "deliberate");
+                    done();
+                });
+            }, 8);
+        })
+
+        it ('should throw on an unknown backend', function(done) {
+            assert.throws(function() { cut.startUploadLoop(tempfile, 'nonesuch', {}) }, /not supported/);
+            done();
+        })
+    })
+
+    describe ('shutdown', function() {
+        var tempfile = "/tmp/unit-kstats.tmp";
+        var grabfile = tempfile + ".up";
+        useJournalFiles(tempfile);
+
+        var uploaded;
+
+        beforeEach (function(done) {
+            uploaded = [];
+            KStats.registerBackend('unit-test', {
+                parse: function(contents) { return contents },
+                upload: function(data, config, cb) { if (!config.hang) { uploaded.push(data); cb(null, 'ok') } },
+            });
+            done();
+        })
+
+        afterEach (function(done) {
+            KStats.unregisterBackend('unit-test');
+            done();
+        })
+
+        it ('should journal the last window and upload the journal of the running loops', function(done) {
+            var journal = {
+                write: function(line) { fs.appendFileSync(tempfile, line) },
+                fflush: function(cb) { journal.flushed = true; cb() },
+            };
+            var kstats = new KStats({ prefix: "unit.", journal: journal, aggregate: true });
+            kstats.logCounter('shutdown.count', 3);
+            var controller = kstats.startUploadLoop(tempfile, 'unit-test', {}, { interval: 100000 });
+            kstats.shutdown(1000, function(err, report) {
+                assert.ifError(err);
+                assert.deepEqual(report, { timedOut: false, errors: [], leftBehind: [] });
+                assert.ok(journal.flushed);
+                assert.equal(controller.status().running, false);
+                assert.equal(uploaded.length, 1);
+                assert.ok(uploaded[0].indexOf("line5") >= 0);
+                assert.ok(/ unit.shutdown.count 3 \|c\n$/.test(uploaded[0]));
+                assert.throws(function() { fs.statSync(tempfile) });
+                assert.equal(kstats._aggregateTimer, null);
+                done();
+            });
+        })
+
+        it ('should upload the summaries of the current minute', function(done) {
+            var journal = { write: function(line) { fs.appendFileSync(tempfile, line) } };
+            fs.writeFileSync(tempfile, "");
+            var kstats = new KStats({ journal: journal });
+            for (var i=1; i<=5; i++) kstats.logTiming('lat', i);
+            kstats.uploadLoop(tempfile, 'unit-test', { summaries: [{ percentiles: [] }] }, 100000);
+            kstats.shutdown(1000, function(err, report) {
+                assert.ifError(err);
+                assert.deepEqual(report.leftBehind, []);
+                assert.equal(uploaded.length, 1);
+                assert.ok(/[.]lat.count 5 \|c\n/.test(uploaded[0]));
+                done();
+            });
+        })
+
+        it ('should upload the summaries held back from a file not finished', function(done) {
+            KStats.registerBackend('unit-test', {
+                parse: function(contents) { return contents },
+                upload: function(data, config, cb) {
+                    if (data.indexOf("poison") >= 0) return cb(new Error("deliberate"));
+                    uploaded.push(data);
+                    cb(null, 'ok');
+                },
+            });
+            fs.writeFileSync(tempfile, "1500000001 lat 1\n1500000002 lat 2\n1500000003 poison 1\n");
+            var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+            kstats.uploadLoop(tempfile, 'unit-test', { summaries: [{ match: 'lat', percentiles: [] }] }, 100000);
+            kstats.shutdown(1000, function(err, report) {
+                assert.ifError(err);
+                assert.equal(report.errors.length, 1);
+                assert.equal(report.leftBehind[0].name, grabfile);
+                assert.deepEqual(uploaded, ["", "1500000000 lat.count 2 |c\n1500000000 lat.max 2 |g\n"]);
+                assert.deepEqual(kstats._summaryCarries, {});
+                done();
+            });
+        })
+
+        it ('should report the files left behind if the upload does not finish in time', function(done) {
+            var kstats = new KStats();
+            kstats.uploadLoop(tempfile, 'unit-test', { hang: true }, 100000);
+            var size = fs.statSync(tempfile).size;
+            var started = Date.now();
+            kstats.shutdown(50).then(function(report) {
+                assert.ok(Date.now() - started < 1000);
+                assert.equal(report.timedOut, true);
+                assert.deepEqual(report.leftBehind, [{ name: grabfile, size: size }]);
+                done();
+            }).then(null, done);
+        })
+
+        it ('should not upload the journal of an uploadLoop stopped with stop()', function(done) {
+            var kstats = new KStats();
+            var loop = kstats.uploadLoop(tempfile, 'unit-test', {}, 100000);
+            loop.stop();
+            kstats.shutdown(1000, function(err, report) {
+                assert.ifError(err);
+                assert.equal(uploaded.length, 0);
+                assert.ok(fs.statSync(tempfile).size > 0);
+                done();
+            });
+        })
+
+        it ('should not upload the journal of an uploadLoop cleared with clearInterval', function(done) {
+            var kstats = new KStats();
+            var loop = kstats.uploadLoop(tempfile, 'unit-test', {}, 100000);
+            clearInterval(loop);
+            kstats.shutdown(1000, function(err, report) {
+                assert.ifError(err);
+                assert.equal(uploaded.length, 0);
+                assert.equal(kstats._uploadLoops.length, 0);
+                assert.ok(fs.statSync(tempfile).size > 0);
+                done();
+            });
+        })
+
+        it ('installExitHandlers should shut down on the signal', function(done) {
+            var listenerCount = process.listeners('SIGUSR2').length;
+            var kstats = new KStats();
+            kstats.startUploadLoop(tempfile, 'unit-test', {}, { interval: 100000 });
+            var uninstall = kstats.installExitHandlers({ signals: ['SIGUSR2'], exit: false, onShutdown: function(err, report) {
+                assert.ifError(err);
+                assert.equal(report.timedOut, false);
+                assert.equal(uploaded.length, 1);
+                assert.equal(process.listeners('SIGUSR2').length, listenerCount);
+                assert.equal(typeof uninstall, 'function');
+                done();
+            }});
+            assert.equal(process.listeners('SIGUSR2').length, listenerCount + 1);
+            process.emit('SIGUSR2', 'SIGUSR2');
+        })
+
+        it ('installExitHandlers should return a function that removes the handlers', function(done) {
+            var listenerCount = process.listeners('SIGTERM').length;
+            var uninstall = new KStats().installExitHandlers();
+            assert.equal(process.listeners('SIGTERM').length, listenerCount + 1);
+            uninstall();
+            assert.equal(process.listeners('SIGTERM').length, listenerCount);
+            assert.equal(process.listeners('beforeExit').indexOf(uninstall), -1);
+            done();
+        })
+    })
+
+    describe ('commit log', function() {
+        var tempfile = "/tmp/unit-kstats.tmp";
+        var grabfile = tempfile + ".up";
+        useJournalFiles(tempfile);
+
+        var commitLogFile = tempfile + ".committed";
+
+        afterEach (function(done) {
+            try { fs.unlinkSync(commitLogFile) } catch (e) { }
+            done();
+        })
+
+        it ('should not resend the batches delivered before a restart', function(done) {
+            var kstats = new KStats({ uploadBatch: { maxLines: 2 }, commitLog: true });
+            var batches = [];
+            kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                assert.ifError(err);
+                assert.equal(fs.readFileSync(commitLogFile).toString().split("\n").length, 4);
+
+                // as if the process died before the uploaded file was removed
+                fs.writeFileSync(grabfile, "line1\nline2\nline3\nline4\nline5");
+                fs.writeFileSync(tempfile, "line6\n");
+                var restarted = new KStats({ uploadBatch: { maxLines: 2 }, commitLog: true });
+                restarted.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                    assert.ifError(err);
+                    assert.deepEqual(batches, ["line1\nline2\n", "line3\nline4\n", "line5"]);
+                    assert.throws(function() { fs.statSync(grabfile) });
+                    restarted.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                        assert.ifError(err);
+                        assert.deepEqual(batches.slice(3), ["line6\n"]);
+                        done();
+                    })
+                })
+            })
+        })
+
+        it ('should keep the most recent maxEntries batches', function(done) {
+            var CommitLog = require('./lib/commitlog.js');
+            var log = new CommitLog(commitLogFile, { maxEntries: 2 });
+            log.add('a', '', function(err) {
+                log.add('b', 'influx', function(err) {
+                    log.add('c', '', function(err) {
+                        log.add('d', '', function(err) {
+                            assert.ifError(err);
+                            assert.equal(fs.readFileSync(commitLogFile).toString(), "c \nd \n");
+                            var reloaded = new CommitLog(commitLogFile);
+                            reloaded.load(function() {
+                                assert.ok(reloaded.has('d', '') && !reloaded.has('d', 'influx') && !reloaded.has('b', 'influx'));
+                                done();
+                            })
+                        })
+                    })
+                })
+            })
+        })
+    })
+
+    describe ('upload lock', function() {
+        var tempfile = "/tmp/unit-kstats.tmp";
+        useJournalFiles(tempfile);
+
+        var lockfile = tempfile + ".lock";
+
+        afterEach (function(done) {
+            try { fs.unlinkSync(lockfile) } catch (e) { }
+            done();
+        })
+
+        it ('should not upload while another process holds the lock', function(done) {
+            fs.writeFileSync(lockfile, JSON.stringify({ pid: 1, hostname: os.hostname(), time: Date.now() }));
+            var kstats = new KStats({ uploadLock: true });
+            var batches = [];
+            kstats.uploadStatsFromJournal(tempfile, function(contents, cb) { batches.push(contents); cb() }, function(err) {
+                assert.ifError(err);
+                assert.equal(batches.length, 0);
+                assert.ok(fs.statSync(tempfile).size > 0);
+                assert.equal(kstats._uploading, false);
+                done();
+            })
+        })
+
+        it ('should break a stale lock and release it when done', function(done) {
+            fs.writeFileSync(lockfile, JSON.stringify({ pid: 99999999, hostname: os.hostname(), time: Date.now() }));
+            var kstats = new KStats({ uploadLock: true });
+            var batches = [];
+            kstats.uploadStatsFromJournal(tempfile, function(contents, cb) {
+                assert.equal(JSON.parse(fs.readFileSync(lockfile)).pid, process.pid);
+                batches.push(contents);
+                cb();
+            }, function(err) {
+                assert.ifError(err);
+                assert.equal(batches.length, 1);
+                assert.throws(function() { fs.statSync(lockfile) });
+                done();
+            })
+        })
+
+        it ('should break a lock of a running but unrelated process on this host not touched in staleAfter', function(done) {
+            var LockFile = require('./lib/lockfile.js');
+            var elevenMinutesAgo = Date.now() - 11 * 60000;
+            // pid 1 is running, but is not the uploader that took the lock
+            fs.writeFileSync(lockfile, JSON.stringify({ pid: 1, hostname: os.hostname(), time: elevenMinutesAgo }));
+            new LockFile(lockfile).acquire(function(err, acquired) {
+                assert.ifError(err);
+                assert.strictEqual(acquired, false);
+                fs.utimesSync(lockfile, elevenMinutesAgo / 1000, elevenMinutesAgo / 1000);
+                var lock = new LockFile(lockfile);
+                lock.acquire(function(err, acquired) {
+                    assert.ifError(err);
+                    assert.strictEqual(acquired, true);
+                    assert.equal(JSON.parse(fs.readFileSync(lockfile)).pid, process.pid);
+                    lock.release(done);
+                })
+            })
+        })
+
+        it ('should touch the lock after every batch', function(done) {
+            var kstats = new KStats({ uploadLock: true, uploadBatch: { maxLines: 2 } });
+            var mtimes = [];
+            kstats.uploadStatsFromJournal(tempfile, function(contents, cb) {
+                mtimes.push(fs.statSync(lockfile).mtime.getTime());
+                fs.utimesSync(lockfile, 1000, 1000);
+                setTimeout(cb, 5);
+            }, function(err) {
+                assert.ifError(err);
+                assert.equal(mtimes.length, 3);
+                assert.ok(mtimes[1] > 1000000 && mtimes[2] > 1000000);
+                done();
+            })
+        })
+
+        it ('should break a lock from another host not touched in staleAfter', function(done) {
+            var LockFile = require('./lib/lockfile.js');
+            fs.writeFileSync(lockfile, JSON.stringify({ pid: 1, hostname: 'otherhost', time: Date.now() - 2000 }));
+            fs.utimesSync(lockfile, (Date.now() - 2000) / 1000, (Date.now() - 2000) / 1000);
+            new LockFile(lockfile).acquire(function(err, acquired) {
+                assert.ifError(err);
+                assert.strictEqual(acquired, false);
+                var lock = new LockFile(lockfile, { staleAfter: 1000 });
+                lock.acquire(function(err, acquired) {
+                    assert.ifError(err);
+                    assert.strictEqual(acquired, true);
+                    new LockFile(lockfile, { staleAfter: 1000 }).acquire(function(err, acquired) {
+                        assert.strictEqual(acquired, false);
+                        lock.release(function(err) {
+                            assert.ifError(err);
+                            assert.throws(function() { fs.statSync(lockfile) });
+                            done();
+                        })
+                    })
+                })
+            })
+        })
+    })
+
+    describe ('backends', function() {
+        var serverData = null;
+        var serverRequest = null;
+        var server = null;
+
+        beforeEach(function(done) {
+            serverData = "";
+            // small loopback server to register the backend call
+            server = http.createServer(function(req, res) {
+                serverRequest = req;
+                req.setEncoding('utf8');
+                req.on('data', function(chunk) { serverData += chunk });
+                req.on('end', function() { res.writeHead(200) ; res.end() });
+                req.on('error', function(err) { /* suppress */ });
+                // if forcing an error response, still go through the on 'end' 200 response codepath
+                if (req.url.split('?')[0] == '/error') { res.writeHead(400) ; res.end("deliberate error") }
+            })
+            server.listen(1337);
+            done();
+        })
+
+        afterEach(function(done) {
+            server.close();
+            done();
+        })
+
+        it ('stackdriver _parseJournalStackdriverContents should build stats data array', function(done) {
+            var timestamp = cut.makeTimestamp();
+            cut.logStat('stat1-name', 111, timestamp);
+            cut.logStat('stat2-name', 222, timestamp);
+            cut.logStat('stat3-name', 333, timestamp);
+            var data = cut._parseJournalStackdriverContents(lines.join(""));
+            assert.equal(data.length, 3);
+            assert.equal(data[0].value, 111);
+            assert.equal(data[1].collected_at, new Date(timestamp)/1000 >>> 0);
+            done();
+        })
+
+        it ('_parseJournalStackdriverContents should combine typed stats per minute', function(done) {
+            var minute = (Date.now()/1000 >>> 0) - 60;
+            minute -= minute % 60;
+            cut.logCounter('count', 2, minute + 1);
+            cut.logCounter('count', 3, minute + 2);
+            cut.logCounter('count', 4, minute + 61);
+            cut.logGauge('gauge', 1, minute + 1);
+            cut.logGauge('gauge', 7, minute + 2);
+            cut.logSet('set', 'a', minute + 1);
+            cut.logSet('set', 'b', minute + 2);
+            cut.logSet('set', 'a', minute + 3);
+            cut.logTiming('timer', 10, minute + 1);
+            cut.logTiming('timer', 20, minute + 2);
+            var data = cut._parseJournalStackdriverContents(lines.join(''));
+            for (var i=0; i<data.length; i++) delete data[i].instance;
+            assert.deepEqual(data, [
+                { name: 'unit.test.count', value: 5, collected_at: minute },
+                { name: 'unit.test.count', value: 4, collected_at: minute + 60 },
+                { name: 'unit.test.gauge', value: 7, collected_at: minute },
+                { name: 'unit.test.set', value: 2, collected_at: minute },
+                { name: 'unit.test.timer', value: 10, collected_at: minute + 1 },
+                { name: 'unit.test.timer', value: 20, collected_at: minute + 2 },
+            ]);
+            done();
+        })
+
+        it ('_parseJournalStackdriverContents should accept tagged samples', function(done) {
+            var now = Date.now()/1000 >>> 0;
+            var data = cut._parseJournalStackdriverContents(now + " sample 1 #a=1\n" + now + " sample 2 |c #a=%41\n");
+            assert.equal(data.length, 2);
+            assert.equal(data[0].value, 1);
+            assert.equal(data[1].value, 2);
+            done();
+        })
+
+        it ('_parseJournalStackdriverContents should reject old samples', function(done) {
+            var rejects = [];
+            cut.rejectedLines(rejects);
+            var data = cut._parseJournalStackdriverContents("1 sample 1.0\n" + (Date.now()/1000 >>> 0) + " sample 2.0\n" + "3 sample 3.0");
+            assert.equal(rejects.length, 2);
+            assert.equal(data.length, 1);
+            assert.equal(rejects[0], '1 sample 1.0');
+            assert.equal(rejects[1], '3 sample 3.0');
+            cut.rejectedLines([]);
+            done();
+        })
+
+        describe ('time policy', function() {
+            var now;
+
+            beforeEach(function(done) {
+                now = Date.now()/1000 >>> 0;
+                cut.rejectedLines([]);
+                cut.rejections([]);
+                done();
+            })
+
+            it ('should reject unparseable timestamps with a reason', function(done) {
+                var data = cut._parseJournalStatsdContents("yesterday sample 1\n" + now + " sample 2\nbad line\n");
+                assert.deepEqual(data, ['sample:2|g']);
+                assert.deepEqual(cut.rejectedLines(), ["yesterday sample 1", "bad line"]);
+                assert.deepEqual(cut.rejections().map(function(r) { return [r.line, r.reason] }), [
+                    ["yesterday sample 1", 'BAD_TIMESTAMP'],
+                    ["bad line", 'BAD_FIELDS'],
+                ]);
+                done();
+            })
+
+            it ('should apply the backend maxAge and maxFutureSkew', function(done) {
+                var contents = (now - 7300) + " old 1\n" + (now - 600) + " recent 2\n" + (now + 600) + " future 3\n";
+                var data = cut._parseJournalStackdriverContents(contents);
+                assert.deepEqual(data.map(function(d) { return d.name }), ['recent', 'future']);
+                assert.deepEqual(cut.rejections([]).map(function(r) { return [r.line, r.reason] }), [[(now - 7300) + " old 1", 'STALE']]);
+
+                data = cut._parseJournalStackdriverContents(contents, { maxAge: 300000, maxFutureSkew: 60000 });
+                assert.deepEqual(data, []);
+                assert.deepEqual(cut.rejections([]).map(function(r) { return r.reason }), ['STALE', 'STALE', 'FUTURE']);
+
+                data = cut._parseJournalInfluxContents(contents, { maxAge: 7200000 });
+                assert.equal(data.length, 2);
+                data = cut._parseJournalInfluxContents(contents);
+                assert.equal(data.length, 3);
+                done();
+            })
+
+            it ('should clamp or rebucket stale samples as configured', function(done) {
+                var contents = (now - 7300) + " old 1\n" + (now - 600) + " recent 2\n";
+                var data = cut._parseJournalGraphiteContents(contents, { maxAge: 3600000, staleAction: 'clamp' });
+                assert.equal(data[0].split(' ')[2], String(now));
+                assert.equal(data[1].split(' ')[2], String(now - 600));
+
+                data = cut._parseJournalGraphiteContents(contents, { maxAge: 3600000, staleAction: 'rebucket' });
+                var oldest = now - 3600;
+                assert.equal(data[0].split(' ')[2], String(oldest - oldest % 60 + 60));
+                assert.deepEqual(cut.rejectedLines(), []);
+                done();
+            })
+
+            it ('should return an error for an unknown staleAction', function(done) {
+                cut.uploadToBackend('graphite', now + " x 1\n", { staleAction: 'ignore' }, function(err) {
+                    assert.ok(/ignore: unknown staleAction/.test(err.message));
+                    done();
+                })
+            })
+        })
+
+        it ('stackdriver should send http POST request', function(done) {
+            var stackdriverConfig = {
+                host: 'localhost',
+                port: 1337,
+                apiKey: 'x',
+            };
+            cut.logMemoryUsage({rss: 250, heapTotal: 230, heapUsed: 120});
+            var journalContents = lines.join('');
+            cut.uploadToStackdriver(journalContents, stackdriverConfig, function(err) {
+                assert.equal(serverData.slice(0, 13), '{"timestamp":');
+                var json = JSON.parse(serverData);
+
+                // unset the annotations to match the expected input
+                for (var i in json.data) delete json.data[i].collected_at;
+
+                assert.deepEqual(json.data[0], {name: "unit.test.mem_rss", value: 250});
+                assert.deepEqual(json.data[1], {name: "unit.test.mem_heap_total", value: 230});
+                assert.deepEqual(json.data[2], {name: "unit.test.mem_heap_used", value: 120});
+                done();
+            })
+        })
+
+        it ('stackdriver should return error on http error', function(done) {
+            var stackdriverConfig = {
+                host: 'localhost',
+                port: 1337,
                 path: '/error',
                 apiKey: 'x',
             };
@@ -309,6 +2015,771 @@ describe ('KStats', function() {
             })
         })
 
+        describe ('registry', function() {
+            afterEach(function(done) {
+                KStats.unregisterBackend('unit-test');
+                done();
+            })
+
+            it ('should list the built-in backends', function(done) {
+                var names = KStats.listBackends();
+                assert.ok(names.indexOf('stackdriver') >= 0);
+                assert.ok(names.indexOf('statsd') >= 0);
+                assert.ok(names.indexOf('cloudmonitoring') >= 0);
+                assert.ok(names.indexOf('influx') >= 0);
+                assert.ok(names.indexOf('graphite') >= 0);
+                assert.equal(typeof KStats.getBackend('stackdriver').parse, 'function');
+                assert.equal(KStats.getBackend('nonesuch'), undefined);
+                assert.equal(KStats.getBackend('toString'), undefined);
+                done();
+            })
+
+            it ('registerBackend should require parse and upload methods', function(done) {
+                assert.throws(function() { KStats.registerBackend() }, /name/);
+                assert.throws(function() { KStats.registerBackend('unit-test', {}) }, /parse and upload/);
+                assert.throws(function() { KStats.registerBackend('unit-test', { parse: function(){} }) }, /parse and upload/);
+                assert.equal(KStats.getBackend('unit-test'), undefined);
+                KStats.registerBackend('unit-test', { parse: function(){}, upload: function(){} });
+                assert.ok(KStats.getBackend('unit-test'));
+                KStats.unregisterBackend('unit-test');
+                assert.equal(KStats.getBackend('unit-test'), undefined);
+                done();
+            })
+
+            it ('uploadToBackend should parse and upload with the registered backend', function(done) {
+                var uploaded;
+                KStats.registerBackend('unit-test', {
+                    parse: function(contents, config) {
+                        assert.equal(this, cut);
+                        this.rejectLine('c', 'NOT_NUMERIC');
+                        return contents.split("\n").slice(0, config.count);
+                    },
+                    upload: function(data, config, cb) {
+                        uploaded = data;
+                        cb(null, 'ok');
+                    },
+                });
+                assert.ok(KStats.listBackends().indexOf('unit-test') >= 0);
+                var events = [];
+                cut.on('rejection', function(record) { events.push(record) });
+                cut.rejectedLines([]);
+                cut.rejections([]);
+                cut.uploadToBackend('unit-test', "a\nb\nc", { count: 2 }, function(err, response, rejections) {
+                    assert.ifError(err);
+                    assert.equal(response, 'ok');
+                    assert.deepEqual(uploaded, ['a', 'b']);
+                    assert.deepEqual(cut.rejectedLines(), ['c']);
+                    assert.deepEqual(rejections, [{ line: 'c', file: undefined, lineNumber: 3, reason: 'NOT_NUMERIC', backend: 'unit-test' }]);
+                    assert.deepEqual(cut.rejections(), rejections);
+                    assert.deepEqual(events, rejections);
+                    assert.equal(cut.rejectionCounts().NOT_NUMERIC, 1);
+                    done();
+                })
+            })
+
+            it ('uploadToBackend should return parse errors', function(done) {
+                KStats.registerBackend('unit-test', {
+                    parse: function(contents, config) { throw new Error("parse error") },
+                    upload: function(data, config, cb) { assert.fail() },
+                });
+                cut.uploadToBackend('unit-test', "a", {}, function(err) {
+                    assert.equal(err.message, "parse error");
+                    cut.uploadToBackend('nonesuch', "a", {}, function(err) {
+                        assert.ok(/not supported/.test(err.message));
+                        done();
+                    })
+                })
+            })
+
+            it ('uploadLoop should upload to the registered backend and report rejected lines', function(done) {
+                var tempfile = "/tmp/unit-kstats-registry.tmp";
+                fs.writeFileSync(tempfile, "a\n");
+                KStats.registerBackend('unit-test', {
+                    parse: function(contents, config) {
+                        this.rejectLine('bad line', 'BAD_FIELDS');
+                        return [contents];
+                    },
+                    upload: function(data, config, cb) { cb(new Error("deliberate"), 'response') },
+                });
+                var errors = [];
+                var timer = cut.uploadLoop(tempfile, 'unit-test', {}, 10, function(err, message) {
+                    errors.push(message);
+                    if (errors.length !== 2) return;
+                    clearInterval(timer);
+                    try { fs.unlinkSync(tempfile) } catch (e) {}
+                    try { fs.unlinkSync(tempfile + '.up') } catch (e) {}
+                    assert.ok(errors[0].indexOf("error uploading stats to unit-test: deliberate") == 0);
+                    assert.equal(errors[1], "unit-test: did not upload some stats lines:\nbad line");
+                    done();
+                })
+            })
+        })
+
+        describe ('rejections', function() {
+            var tempfile = "/tmp/unit-kstats-rejections.tmp";
+            var now;
+
+            beforeEach(function(done) {
+                now = Date.now()/1000 >>> 0;
+                KStats.registerBackend('unit-test', {
+                    parse: function(contents, config) { return this._parseJournalContents(contents, { maxAge: 3600000 }) },
+                    upload: function(data, config, cb) {
+                        cb(null, 'ok', data.filter(function(s) { return s.name === 'refused' }).map(function(s) { return s.line }));
+                    },
+                });
+                done();
+            })
+
+            afterEach(function(done) {
+                KStats.unregisterBackend('unit-test');
+                try { fs.unlinkSync(tempfile) } catch (e) {}
+                try { fs.unlinkSync(tempfile + '.up') } catch (e) {}
+                try { fs.unlinkSync(tempfile + '.up.offset') } catch (e) {}
+                done();
+            })
+
+            it ('should record the reason, count it and emit a rejection event', function(done) {
+                var events = [];
+                cut.on('rejection', function(record) { events.push(record) });
+                cut.rejections([]);
+                cut.uploadToBackend('unit-test', "bad line\n" + now + " x notnum\n1000000000 old 1\n" + now + " refused 1\n" + now + " ok 1\n", {}, function(err, response, rejections) {
+                    assert.ifError(err);
+                    assert.deepEqual(rejections, [
+                        { line: "bad line", file: undefined, lineNumber: 1, reason: 'BAD_FIELDS', backend: 'unit-test' },
+                        { line: now + " x notnum", file: undefined, lineNumber: 2, reason: 'NOT_NUMERIC', backend: 'unit-test' },
+                        { line: "1000000000 old 1", file: undefined, lineNumber: 3, reason: 'STALE', backend: 'unit-test' },
+                        { line: now + " refused 1", file: undefined, lineNumber: 4, reason: 'BACKEND_REFUSED', backend: 'unit-test' },
+                    ]);
+                    assert.deepEqual(cut.rejections(), rejections);
+                    assert.deepEqual(events, rejections);
+                    var counts = cut.rejectionCounts();
+                    assert.equal(counts.BAD_FIELDS, 1);
+                    assert.equal(counts.NOT_NUMERIC, 1);
+                    assert.equal(counts.STALE, 1);
+                    assert.equal(counts.BACKEND_REFUSED, 1);
+                    assert.equal(counts.FUTURE, 0);
+                    assert.deepEqual(Object.keys(counts).sort(), KStats.rejectReasons.slice(0).sort());
+                    done();
+                })
+            })
+
+            it ('should record the journal file and line number of uploaded batches', function(done) {
+                fs.writeFileSync(tempfile, now + " a 1\nbad line\n" + now + " b 1\nworse line\n");
+                var kstats = new KStats({ uploadBatch: { maxLines: 2 } });
+                var records = [];
+                kstats.on('rejection', function(record) { records.push(record) });
+                var calls = 0;
+                var uploadFunc = function(contents, cb, batchInfo) {
+                    kstats.uploadToBackend('unit-test', contents, {}, function(err, response) {
+                        // fail the second batch the first time, to resume from the checkpoint
+                        cb(++calls === 2 ? new Error("deliberate") : err, response);
+                    }, batchInfo);
+                };
+                kstats.uploadStatsFromJournal(tempfile, uploadFunc, function(err) {
+                    assert.equal(err.message, "deliberate");
+                    kstats.uploadStatsFromJournal(tempfile, uploadFunc, function(err) {
+                        assert.ifError(err);
+                        assert.deepEqual(records.map(function(r) { return [r.file, r.lineNumber, r.line] }), [
+                            [tempfile + '.up', 2, "bad line"],
+                            [tempfile + '.up', 4, "worse line"],
+                            [tempfile + '.up', 4, "worse line"],
+                        ]);
+                        done();
+                    })
+                })
+            })
+
+            it ('uploadLoop should report the rejection records with the error', function(done) {
+                fs.writeFileSync(tempfile, "bad line\n");
+                var reported = false;
+                var timer = cut.uploadLoop(tempfile, 'unit-test', {}, 10, function(err, message) {
+                    clearInterval(timer);
+                    if (reported) return;
+                    reported = true;
+                    assert.ok(err instanceof Error);
+                    assert.equal(err.message, "unit-test: did not upload 1 stats lines");
+                    assert.deepEqual(err.rejections, [{ line: "bad line", file: tempfile + '.up', lineNumber: 1, reason: 'BAD_FIELDS', backend: 'unit-test' }]);
+                    assert.equal(message, "unit-test: did not upload some stats lines:\nbad line");
+                    done();
+                })
+            })
+
+            it ('should reject a malformed unterminated last line as truncated', function(done) {
+                var parsed = cut.parseForBackend('unit-test', "bad line\n" + now + " a 1\n" + now + " b", {});
+                assert.deepEqual(parsed.data.map(function(s) { return s.name }), ['a']);
+                assert.deepEqual(parsed.rejections.map(function(r) { return [r.lineNumber, r.reason] }), [[1, 'BAD_FIELDS'], [3, 'TRUNCATED']]);
+                done();
+            })
+
+            describe ('framed journal', function() {
+                var Frames = require('./lib/frames.js');
+
+                it ('should journal checksummed records', function(done) {
+                    cut = new KStats({
+                        journal: { write: function(line) { lines.push(line) } },
+                        prefix: "unit.test.",
+                        journalFormat: 'framed',
+                    });
+                    cut.logCounter('hits', 2, { timestamp: '1500000000', tags: { a: 'ü' } });
+                    var line = "1500000000 unit.test.hits 2 |c #a=ü";
+                    var match = /^~(\d+):([0-9a-f]{8}) (.*)\n$/.exec(lines[0]);
+                    assert.equal(match[1], fromBuf(line).length);
+                    assert.equal(parseInt(match[2], 16), Frames.crc32(fromBuf(line)));
+                    assert.equal(match[3], line);
+                    assert.throws(function() { new KStats({ journalFormat: 'binary' }) }, /binary: unknown journalFormat/);
+                    done();
+                })
+
+                it ('crc32 should match zlib', function(done) {
+                    assert.equal(Frames.crc32(fromBuf("123456789")), 0xCBF43926);
+                    assert.equal(Frames.crc32(fromBuf("")), 0);
+                    done();
+                })
+
+                it ('should skip corrupt records and resync at the next frame', function(done) {
+                    var a = Frames.frame(now + " a 1\n"), b = Frames.frame(now + " b 2\n"), c = Frames.frame(now + " c 3\n");
+                    var corrupted = b.replace(" b 2", " b 3");
+                    var contents = a.slice(0, 12) + b + corrupted.slice(0, -1) + "junk" + c + "plain 1\n" + now + " d 4\n" + a.slice(0, -3);
+                    var parsed = cut.parseForBackend('unit-test', contents, {});
+                    assert.deepEqual(parsed.data.map(function(s) { return s.name }), ['b', 'c', 'd']);
+                    assert.deepEqual(parsed.rejections.map(function(r) { return [r.lineNumber, r.reason, r.line] }), [
+                        [1, 'CORRUPT', a.slice(0, 12)],
+                        [2, 'CORRUPT', corrupted.slice(0, -1) + "junk"],
+                        [5, 'TRUNCATED', a.slice(0, -3)],
+                        [3, 'BAD_FIELDS', "plain 1"],
+                    ]);
+                    done();
+                })
+
+                it ('should upload framed journals and report the truncated tail of the .up file', function(done) {
+                    var journal = "/tmp/unit-kstats-framed.tmp";
+                    var kstats = new KStats({ journal: { write: function(line) { fs.appendFileSync(journal, line) } }, journalFormat: 'framed' });
+                    kstats.logStat('a', 1);
+                    kstats.logStat('b', 2);
+                    fs.appendFileSync(journal, Frames.frame(now + " c 3\n").slice(0, 20));
+                    var records = [];
+                    kstats.on('rejection', function(record) { records.push(record) });
+                    kstats.uploadStatsFromJournal(journal, function(contents, cb, batchInfo) {
+                        kstats.uploadToBackend('unit-test', contents, {}, function(err, response) {
+                            cb(err, response);
+                        }, batchInfo);
+                    }, function(err) {
+                        assert.ifError(err);
+                        assert.deepEqual(records.map(function(r) { return [r.file, r.lineNumber, r.reason] }), [[journal + '.up', 3, 'TRUNCATED']]);
+                        assert.ok(!fs.existsSync(journal + '.up'));
+                        done();
+                    })
+                })
+            })
+        })
+
+        describe ('statsd', function() {
+            var udpServer = null;
+            var packets = null;
+
+            beforeEach(function(done) {
+                packets = [];
+                udpServer = dgram.createSocket('udp4');
+                udpServer.on('message', function(msg) { packets.push(msg.toString()) });
+                udpServer.bind(1338, '127.0.0.1', function() { done() });
+            })
+
+            afterEach(function(done) {
+                udpServer.close();
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should build statsd lines', function(done) {
+                var rejects = cut.rejectedLines([]);
+                cut.logStat('stat1-name', 111);
+                cut.logStat('stat:2', 2.5);
+                var data = cut._parseJournalStatsdContents(lines.join('') + "1 sample x\nbad line\n");
+                assert.deepEqual(data, ['unit.test.stat1-name:111|g', 'unit.test.stat_2:2.5|g']);
+                assert.deepEqual(cut.rejectedLines(), ['1 sample x', 'bad line']);
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should use the configured type and tags', function(done) {
+                cut.logStat('stat1-name', 111);
+                var data = cut._parseJournalStatsdContents(lines.join(''), { type: 'ms', tags: { env: 'test', canary: true } });
+                assert.deepEqual(data, ['unit.test.stat1-name:111|ms|#env:test,canary']);
+                data = cut._parseJournalStatsdContents(lines.join(''), { tags: ['env:test'] });
+                assert.deepEqual(data, ['unit.test.stat1-name:111|g|#env:test']);
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should send typed stats as their type', function(done) {
+                cut.logCounter('count', 2);
+                cut.logGauge('gauge', 1.5);
+                cut.logTiming('timer', 12);
+                cut.logSet('set', 'user:1');
+                cut.logStat('sample', 3);
+                var data = cut._parseJournalStatsdContents(lines.join(''), { type: 'ms' });
+                assert.deepEqual(data, [
+                    'unit.test.count:2|c',
+                    'unit.test.gauge:1.5|g',
+                    'unit.test.timer:12|ms',
+                    'unit.test.set:user_1|s',
+                    'unit.test.sample:3|ms',
+                ]);
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should not let set members break the line', function(done) {
+                cut.logSet('s', 'x\ny|s');
+                cut.logSet('s', 'a b\tc\r');
+                var data = cut._parseJournalStatsdContents(lines.join(''));
+                assert.deepEqual(data, ['unit.test.s:x_y_s|s', 'unit.test.s:a_b_c_|s']);
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should set negative gauges from 0', function(done) {
+                cut.logGauge('gauge', -5);
+                cut.logStat('sample', -1.5);
+                cut.logStat('sample', 0);
+                var data = cut._parseJournalStatsdContents(lines.join(''), { tags: ['env:test'] });
+                assert.deepEqual(data, [
+                    'unit.test.gauge:0|g|#env:test\nunit.test.gauge:-5|g|#env:test',
+                    'unit.test.sample:0|g|#env:test\nunit.test.sample:-1.5|g|#env:test',
+                    'unit.test.sample:0|g|#env:test',
+                ]);
+                done();
+            })
+
+            it ('_parseJournalStatsdContents should send the sample tags as DogStatsD tags', function(done) {
+                cut.logCounter('hits', 1, { tags: { route: '/x y', status: 200 } });
+                cut.logCounter('hits', 1);
+                var data = cut._parseJournalStatsdContents(lines.join(''), { tags: ['env:test'] });
+                assert.deepEqual(data, [
+                    'unit.test.hits:1|c|#env:test,route:/x_y,status:200',
+                    'unit.test.hits:1|c|#env:test',
+                ]);
+                done();
+            })
+
+            it ('_packLines should pack lines into packets up to the size limit', function(done) {
+                assert.deepEqual(KStats._packLines([], 10), []);
+                assert.deepEqual(KStats._packLines(['aaa', 'bbb', 'ccc'], 7), ['aaa\nbbb', 'ccc']);
+                assert.deepEqual(KStats._packLines(['aaaaaaaaaa', 'b'], 5), ['aaaaaaaaaa', 'b']);
+                done();
+            })
+
+            it ('should send udp packets', function(done) {
+                cut.logMemoryUsage({rss: 250, heapTotal: 230, heapUsed: 120});
+                cut.uploadToStatsd(lines.join(''), { host: '127.0.0.1', port: 1338, mtu: 60 }, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 2);
+                    setTimeout(function() {
+                        assert.deepEqual(packets, [
+                            'unit.test.mem_rss:250|g\nunit.test.mem_heap_total:230|g',
+                            'unit.test.mem_heap_used:120|g',
+                        ]);
+                        done();
+                    }, 20);
+                })
+            })
+
+            it ('should not send anything if no stats', function(done) {
+                cut.uploadToStatsd("", { port: 1338 }, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 0);
+                    done();
+                })
+            })
+
+            it ('uploadLoop should accept the statsd backend', function(done) {
+                var timer = cut.uploadLoop("/tmp/unit-kstats-statsd.tmp", 'statsd', { port: 1338 }, 100000);
+                clearInterval(timer);
+                assert.throws(function() { cut.uploadLoop("/tmp/unit-kstats-statsd.tmp", 'nonesuch', {}) }, /not supported/);
+                done();
+            })
+        })
+
+        describe ('influx', function() {
+            it ('_parseJournalInfluxContents should build line protocol lines', function(done) {
+                cut.rejectedLines([]);
+                cut.logStat('stat,one', 1.5, { timestamp: 1500000000, tags: { host: 'a,b c', env: 'x=y' } });
+                cut.logCounter('count', 2, 1500000001);
+                cut.logSet('users', 'say"hi"', 1500000002);
+                var data = cut._parseJournalInfluxContents(lines.join('') + "bad line\n", { tags: { env: 'test', region: 'us' } });
+                assert.deepEqual(data, [
+                    'unit.test.stat\\,one,env=x\\=y,host=a\\,b\\ c,region=us value=1.5 1500000000',
+                    'unit.test.count,env=test,region=us value=2 1500000001',
+                    'unit.test.users,env=test,region=us value="say\\"hi\\"" 1500000002',
+                ]);
+                assert.deepEqual(cut.rejectedLines(), ['bad line']);
+                done();
+            })
+
+            it ('should post the lines to /write with precision seconds', function(done) {
+                cut.logStat('stat1', 1, 1500000000);
+                cut.logStat('stat2', 2, 1500000000);
+                var config = { host: 'localhost', port: 1337, db: 'my db', username: 'u', password: 'p', token: 't' };
+                cut.uploadToInflux(lines.join(''), config, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 2);
+                    assert.equal(serverRequest.url, '/write?db=my%20db&precision=s&u=u&p=p');
+                    assert.equal(serverRequest.headers.authorization, 'Token t');
+                    assert.equal(serverData, 'unit.test.stat1 value=1 1500000000\nunit.test.stat2 value=2 1500000000\n');
+                    done();
+                })
+            })
+
+            it ('should return error on http error or missing db', function(done) {
+                cut.logStat('stat1', 1);
+                cut.uploadToInflux(lines.join(''), { host: 'localhost', port: 1337, path: '/error', db: 'x' }, function(err, responseBody) {
+                    assert.ok(err instanceof Error);
+                    assert.equal(responseBody, "deliberate error");
+                    cut.uploadToInflux(lines.join(''), { host: 'localhost', port: 1337 }, function(err) {
+                        assert.ok(/missing db/.test(err.message));
+                        done();
+                    })
+                })
+            })
+
+            it ('should time out if the server does not respond', function(done) {
+                var silentServer = http.createServer(function(req, res) { });
+                silentServer.listen(0, '127.0.0.1', function() {
+                    cut.logStat('stat1', 1);
+                    var config = { host: '127.0.0.1', port: silentServer.address().port, db: 'x', timeout: 50 };
+                    cut.uploadToInflux(lines.join(''), config, function(err) {
+                        silentServer.close();
+                        assert.ok(/timed out after 50 ms/.test(err.message));
+                        done();
+                    })
+                })
+            })
+        })
+
+        describe ('graphite', function() {
+            var net = require('net');
+            var tcpServer = null;
+            var received = null;
+            var connections = null;
+
+            beforeEach(function(done) {
+                received = '';
+                connections = [];
+                tcpServer = net.createServer(function(socket) {
+                    connections.push(socket);
+                    socket.setEncoding('utf8');
+                    socket.on('data', function(chunk) { received += chunk });
+                    socket.on('error', function(err) { /* suppress */ });
+                });
+                tcpServer.listen(1341, '127.0.0.1', function() { done() });
+            })
+
+            afterEach(function(done) {
+                for (var i=0; i<connections.length; i++) connections[i].destroy();
+                tcpServer.close();
+                done();
+            })
+
+            it ('_parseJournalGraphiteContents should build plaintext lines', function(done) {
+                cut.rejectedLines([]);
+                cut.logStat('stat;one', 1.5, { timestamp: 1500000000, tags: { host: 'a;b c' } });
+                cut.logCounter('count', 2, 1500000001);
+                cut.logSet('users', 'u1', 1500000002);
+                var data = cut._parseJournalGraphiteContents(lines.join(''), { tags: { env: 'test' } });
+                assert.deepEqual(data, [
+                    'unit.test.stat_one;env=test;host=a_b_c 1.5 1500000000',
+                    'unit.test.count;env=test 2 1500000001',
+                ]);
+                assert.deepEqual(cut.rejectedLines(), [lines[2].trim()]);
+                done();
+            })
+
+            it ('should send the lines over tcp and reconnect after the connection is lost', function(done) {
+                cut.logStat('stat1', 1, 1500000000);
+                cut.uploadToGraphite(lines.join(''), { port: 1341 }, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 1);
+                    setTimeout(function() {
+                        assert.equal(received, 'unit.test.stat1 1 1500000000\n');
+                        assert.equal(connections.length, 1);
+                        connections[0].destroy();
+                        setTimeout(function() {
+                            cut.uploadToGraphite(lines.join(''), { port: 1341 }, function(err, count) {
+                                assert.ifError(err);
+                                setTimeout(function() {
+                                    assert.equal(connections.length, 2);
+                                    assert.equal(received, 'unit.test.stat1 1 1500000000\nunit.test.stat1 1 1500000000\n');
+                                    done();
+                                }, 20);
+                            })
+                        }, 20);
+                    }, 20);
+                })
+            })
+
+            it ('shutdown should close the connection', function(done) {
+                var kstats = new KStats();
+                kstats.uploadToGraphite("1500000000 stat1 1\n", { port: 1341 }, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 1);
+                    setTimeout(function() {
+                        connections[0].on('end', function() {
+                            assert.equal(kstats._graphiteClients, null);
+                            done();
+                        });
+                        connections[0].resume();
+                        kstats.shutdown(1000, function(err) { assert.ifError(err) });
+                    }, 20);
+                })
+            })
+
+            it ('should return error if unable to connect', function(done) {
+                cut.logStat('stat1', 1);
+                cut.uploadToGraphite(lines.join(''), { port: 1342 }, function(err) {
+                    assert.ok(err instanceof Error);
+                    done();
+                })
+            })
+        })
+
+        describe ('cloudmonitoring', function() {
+            var CloudMonitoring = require('./lib/cloudmonitoring.js');
+            var crypto = require('crypto');
+            var mockServer = null;
+            var requests = null;
+            var lastEndTimes = null;
+            var keys = crypto.generateKeyPairSync ? crypto.generateKeyPairSync('rsa', {
+                modulusLength: 1024,
+                publicKeyEncoding: { type: 'spki', format: 'pem' },
+                privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+            }) : null;
+
+            beforeEach(function(done) {
+                requests = [];
+                lastEndTimes = {};
+                // mock of the token endpoint and the timeSeries api
+                mockServer = http.createServer(function(req, res) {
+                    var body = '';
+                    req.setEncoding('utf8');
+                    req.on('data', function(chunk) { body += chunk });
+                    req.on('end', function() {
+                        requests.push({ url: req.url, headers: req.headers, body: body });
+                        if (req.url.indexOf('/v3/projects/silent/') === 0) return;
+                        if (req.url.indexOf('/v3/projects/ordered/') === 0) {
+                            // the api refuses points older than the last point of their series,
+                            // and points less than the sampling period after it
+                            var older = [], tooSoon = [];
+                            JSON.parse(body).timeSeries.forEach(function(series, ix) {
+                                var seriesKey = series.metric.type + JSON.stringify(series.metric.labels);
+                                var endTime = series.points[0].interval.endTime;
+                                if (lastEndTimes[seriesKey] > endTime) return older.push(ix);
+                                if (lastEndTimes[seriesKey] === endTime) return tooSoon.push(ix);
+                                lastEndTimes[seriesKey] = endTime;
+                            });
+                            var errors = [];
+                            if (older.length) errors.push("Points must be written in order. " +
+                                "One or more of the points specified had an older start time than the most recent point.: timeSeries[" + older.join(',') + "]");
+                            if (tooSoon.length) errors.push("One or more points were written more frequently than the maximum sampling period " +
+                                "configured for the metric.: timeSeries[" + tooSoon.join(',') + "]");
+                            if (!errors.length) { res.writeHead(200); return res.end("{}") }
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            return res.end(JSON.stringify({ error: { code: 400, message:
+                                "One or more TimeSeries could not be written: " + errors.join('; ') } }));
+                        }
+                        if (req.url === '/token') {
+                            res.writeHead(200, { 'Content-Type': 'application/json' });
+                            return res.end(JSON.stringify({ access_token: 'token-' + requests.length, expires_in: 3600 }));
+                        }
+                        res.writeHead(req.url.indexOf('/v3/projects/error/') === 0 ? 400 : 200);
+                        res.end(req.url.indexOf('/v3/projects/error/') === 0 ? "deliberate error" : "{}");
+                    });
+                })
+                mockServer.listen(1340, function() { done() });
+            })
+
+            afterEach(function(done) {
+                mockServer.close();
+                done();
+            })
+
+            it ('_parseJournalCloudMonitoringContents should build one-point time series per minute', function(done) {
+                var minute = (Date.now()/1000 >>> 0) - 60;
+                minute -= minute % 60;
+                cut.logCounter('count', 2, minute + 1);
+                cut.logCounter('count', 3, { timestamp: minute + 2, tags: { Region: 'us-east' } });
+                cut.logGauge('gauge', 1, minute + 1);
+                cut.logGauge('gauge', 7, minute + 2);
+                cut.logTiming('timer', 10, minute + 1);
+                cut.logTiming('timer', 20, minute + 2);
+                cut.logStat('odd:name', 1, minute + 1);
+                cut.rejectedLines([]);
+                var series = cut._parseJournalCloudMonitoringContents(lines.join('') + "1 sample 1\n", { projectId: 'proj' });
+                assert.deepEqual(series.map(function(s) { return [s.metric.type, s.points[0].value.doubleValue] }), [
+                    ['custom.googleapis.com/unit.test.count', 2],
+                    ['custom.googleapis.com/unit.test.count', 3],
+                    ['custom.googleapis.com/unit.test.gauge', 7],
+                    ['custom.googleapis.com/unit.test.timer', 15],
+                    ['custom.googleapis.com/unit.test.odd_name', 1],
+                ]);
+                assert.deepEqual(series[1].metric.labels, { region: 'us-east' });
+                assert.deepEqual(series[0].resource, {
+                    type: 'generic_node',
+                    labels: { project_id: 'proj', location: 'global', namespace: 'kstats', node_id: cut.hostname },
+                });
+                assert.equal(series[0].metricKind, 'GAUGE');
+                // timestamped with the end of the minute
+                assert.equal(series[0].points[0].interval.endTime, new Date((minute + 60) * 1000).toISOString());
+                assert.equal(series[3].points[0].interval.endTime, new Date((minute + 60) * 1000).toISOString());
+                assert.deepEqual(cut.rejectedLines(), ['1 sample 1']);
+                done();
+            })
+
+            it ('_parseJournalCloudMonitoringContents should map the instance to a gce_instance resource', function(done) {
+                cut.setInstanceId('i-1234');
+                cut.logStat('x', 1);
+                var series = cut._parseJournalCloudMonitoringContents(lines.join(''), { projectId: 'proj', zone: 'us-central1-a' });
+                assert.deepEqual(series[0].resource, {
+                    type: 'gce_instance',
+                    labels: { project_id: 'proj', instance_id: 'i-1234', zone: 'us-central1-a' },
+                });
+                series = cut._parseJournalCloudMonitoringContents(lines.join(''), { projectId: 'proj' });
+                assert.equal(series[0].resource.labels.node_id, 'i-1234');
+                series = cut._parseJournalCloudMonitoringContents(lines.join(''), { resource: { type: 'global', labels: {} } });
+                assert.deepEqual(series[0].resource, { type: 'global', labels: {} });
+                done();
+            })
+
+            it ('batchTimeSeries should send at most 200 series and one point per series per request', function(done) {
+                var points = [];
+                for (var i=0; i<450; i++) points.push({ name: 'stat' + i, value: i, collected_at: 1500000000 });
+                var batches = CloudMonitoring.batchTimeSeries(CloudMonitoring.buildTimeSeries(points, {}, {}));
+                assert.deepEqual(batches.map(function(b) { return b.length }), [200, 200, 50]);
+
+                points = [
+                    { name: 'a', value: 3, collected_at: 1500000120 },
+                    { name: 'a', value: 1, collected_at: 1500000000 },
+                    { name: 'b', value: 1, collected_at: 1500000000 },
+                    { name: 'a', value: 2, collected_at: 1500000060 },
+                ];
+                batches = CloudMonitoring.batchTimeSeries(CloudMonitoring.buildTimeSeries(points, {}, {}));
+                assert.deepEqual(batches.map(function(b) { return b.map(function(s) { return s.points[0].value.doubleValue }) }), [[1, 1], [2], [3]]);
+                done();
+            })
+
+            it ('should authenticate with a signed JWT and create the time series', function(done) {
+                if (!keys) return done();
+                var config = {
+                    host: 'localhost',
+                    port: 1340,
+                    credentials: {
+                        project_id: 'proj',
+                        client_email: 'jwt-test@proj.iam.gserviceaccount.com',
+                        private_key: keys.privateKey,
+                        token_uri: 'http://localhost:1340/token',
+                    },
+                };
+                cut.logStat('stat1', 1);
+                cut.logStat('stat2', 2);
+                cut.uploadToCloudMonitoring(lines.join(''), config, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 2);
+                    assert.equal(requests.length, 2);
+
+                    var assertion = decodeURIComponent(requests[0].body.match(/assertion=([^&]*)/)[1]).split('.');
+                    var fromBase64url = function(s) { return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64') };
+                    assert.deepEqual(JSON.parse(fromBase64url(assertion[0])), { alg: 'RS256', typ: 'JWT' });
+                    var claims = JSON.parse(fromBase64url(assertion[1]));
+                    assert.equal(claims.iss, 'jwt-test@proj.iam.gserviceaccount.com');
+                    assert.equal(claims.aud, 'http://localhost:1340/token');
+                    assert.equal(claims.scope, 'https://www.googleapis.com/auth/monitoring.write');
+                    var verifier = crypto.createVerify('RSA-SHA256');
+                    verifier.update(assertion[0] + '.' + assertion[1]);
+                    assert.ok(verifier.verify(keys.publicKey, fromBase64url(assertion[2])));
+
+                    assert.equal(requests[1].url, '/v3/projects/proj/timeSeries');
+                    assert.equal(requests[1].headers.authorization, 'Bearer token-1');
+                    assert.equal(JSON.parse(requests[1].body).timeSeries.length, 2);
+
+                    // the access token is reused until it expires
+                    cut.uploadToCloudMonitoring(lines.join(''), config, function(err, count) {
+                        assert.ifError(err);
+                        assert.equal(requests.length, 3);
+                        assert.equal(requests[2].headers.authorization, 'Bearer token-1');
+                        done();
+                    })
+                })
+            })
+
+            it ('should return error on http error', function(done) {
+                cut.logStat('stat1', 1);
+                var config = { host: 'localhost', port: 1340, projectId: 'error', accessToken: 'x' };
+                cut.uploadToCloudMonitoring(lines.join(''), config, function(err, responseBody) {
+                    assert.ok(err instanceof Error);
+                    assert.equal(responseBody, "deliberate error");
+                    cut.uploadToCloudMonitoring(lines.join(''), { accessToken: 'x' }, function(err) {
+                        assert.ok(/missing projectId/.test(err.message));
+                        done();
+                    })
+                })
+            })
+
+            it ('should time out if the api does not respond', function(done) {
+                cut.logStat('stat1', 1);
+                var config = { host: 'localhost', port: 1340, projectId: 'silent', accessToken: 'x', timeout: 50 };
+                cut.uploadToCloudMonitoring(lines.join(''), config, function(err) {
+                    assert.ok(/timed out after 50 ms/.test(err.message));
+                    done();
+                })
+            })
+
+            it ('should upload adjacent minutes as separate points', function(done) {
+                var minute = (Date.now()/1000 >>> 0) - 180;
+                minute -= minute % 60;
+                var config = { host: 'localhost', port: 1340, projectId: 'ordered', accessToken: 'x' };
+                cut.rejectedLines([]);
+                cut.uploadToCloudMonitoring(minute + 59 + " stat 1\n", config, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 1);
+                    cut.uploadToCloudMonitoring(minute + 60 + " stat 2\n", config, function(err, count, rejections) {
+                        assert.ifError(err);
+                        assert.equal(count, 1);
+                        assert.deepEqual(rejections, []);
+                        var endTimes = requests.map(function(req) { return JSON.parse(req.body).timeSeries[0].points[0].interval.endTime });
+                        assert.deepEqual(endTimes, [new Date((minute + 60) * 1000).toISOString(), new Date((minute + 120) * 1000).toISOString()]);
+                        assert.deepEqual(cut.rejectedLines(), []);
+                        done();
+                    })
+                })
+            })
+
+            it ('should report the series of a minute already uploaded or older as refused', function(done) {
+                var minute = (Date.now()/1000 >>> 0) - 180;
+                minute -= minute % 60;
+                var config = { host: 'localhost', port: 1340, projectId: 'ordered', accessToken: 'x' };
+                cut.uploadToCloudMonitoring(minute + 61 + " stat 1\n" + (minute + 61) + " other 1\n", config, function(err, count) {
+                    assert.ifError(err);
+                    assert.equal(count, 2);
+                    cut.rejectedLines([]);
+                    var contents = minute + 1 + " other 2\n" + (minute + 62) + " stat 2\n" + (minute + 62) + " new 2\n";
+                    cut.uploadToCloudMonitoring(contents, config, function(err, count, rejections) {
+                        assert.ifError(err);
+                        assert.equal(count, 1);
+                        assert.deepEqual(rejections.map(function(r) { return [r.line, r.reason] }), [
+                            [minute + 1 + " other 2", 'BACKEND_REFUSED'],
+                            [minute + 62 + " stat 2", 'BACKEND_REFUSED'],
+                        ]);
+                        assert.deepEqual(cut.rejectedLines([]), [minute + 1 + " other 2", minute + 62 + " stat 2"]);
+                        assert.equal(requests.length, 2);
+                        done();
+                    })
+                })
+            })
+
+            it ('should require credentials', function(done) {
+                cut.logStat('stat1', 1);
+                cut.uploadToCloudMonitoring(lines.join(''), { projectId: 'proj', host: 'localhost', port: 1340 }, function(err) {
+                    assert.ok(/missing service account credentials/.test(err.message));
+                    assert.equal(requests.length, 0);
+                    done();
+                })
+            })
+        })
+
         it ('stackdriver should actually upload', function(done) {
             var stackdriverConfig = {
                 apiKey: 'HM0R2KGICRBMGMRJUUXLUUXWDHV8KCST',     // AR unit test account
@@ -325,4 +2796,314 @@ describe ('KStats', function() {
             })
         })
     })
+
+    describe ('cluster', function() {
+        var EventEmitter = require('events').EventEmitter;
+        var Frames = require('./lib/frames.js');
+
+        function fakeWorkerProcess( sent ) {
+            return { send: function(message, cb) { sent.push(message); setTimeout(cb, 1) } };
+        }
+
+        it ('WorkerJournal should send the lines written in the same tick together', function(done) {
+            var sent = [];
+            var journal = new KStats.WorkerJournal({ process: fakeWorkerProcess(sent) });
+            var worker = new KStats({ journal: journal, prefix: "unit." });
+            worker.logCounter('a', 1, '1500000000');
+            worker.logGauge('b', 2, '1500000000');
+            assert.equal(sent.length, 0);
+            setTimeout(function() {
+                assert.deepEqual(sent, [{ kstatsLines: ["1500000000 unit.a 1 |c\n", "1500000000 unit.b 2 |g\n"] }]);
+                worker.logCounter('c', 3, '1500000000');
+                journal.fflush(function(err) {
+                    assert.ifError(err);
+                    assert.equal(sent.length, 2);
+                    done();
+                })
+            }, 5);
+        })
+
+        it ('WorkerJournal should count the lines not sent', function(done) {
+            var journal = new KStats.WorkerJournal({ process: { send: function(message, cb) { cb(new Error("channel closed")) } } });
+            journal.write("line1\n");
+            journal.write("line2\n");
+            journal.fflush(function(err) {
+                assert.equal(err.message, "channel closed");
+                assert.equal(journal.droppedLines, 2);
+                done();
+            })
+        })
+
+        it ('WorkerJournal should require an ipc channel', function(done) {
+            assert.throws(function() { new KStats.WorkerJournal({ process: {} }) }, /not a cluster worker/);
+            done();
+        })
+
+        it ('receiveWorkerStats should journal the stats of current and new workers', function(done) {
+            var cluster = new EventEmitter();
+            cluster.workers = { 1: new EventEmitter() };
+            var master = new KStats({ journal: { write: function(line) { lines.push(line) } }, journalFormat: 'framed' });
+            var stopReceiving = master.receiveWorkerStats(cluster);
+            cluster.workers[1].emit('message', { kstatsLines: ["1500000000 unit.a 1 |c\n"] });
+            cluster.workers[1].emit('message', { cmd: 'other' });
+            var forked = new EventEmitter();
+            cluster.emit('fork', forked);
+            forked.emit('message', { kstatsLines: ["1500000000 unit.b 2 |g\n"] });
+            assert.deepEqual(lines, [Frames.frame("1500000000 unit.a 1 |c\n"), Frames.frame("1500000000 unit.b 2 |g\n")]);
+
+            stopReceiving();
+            forked.emit('message', { kstatsLines: ["1500000000 unit.c 3 |c\n"] });
+            assert.equal(lines.length, 2);
+            assert.equal(cluster.listeners('fork').length, 0);
+            done();
+        })
+    })
+
+    describe ('metadata', function() {
+        var Metadata = require('./lib/metadata.js');
+        var server, endpoint, requests, respond;
+
+        beforeEach (function(done) {
+            Metadata._clearCache();
+            requests = [];
+            respond = null;
+            server = http.createServer(function(req, res) {
+                requests.push(req.method + ' ' + req.url);
+                respond(req, res);
+            });
+            server.listen(0, '127.0.0.1', function() {
+                endpoint = 'http://127.0.0.1:' + server.address().port;
+                done();
+            });
+        })
+
+        afterEach (function(done) {
+            server.close();
+            done();
+        })
+
+        function imdsv2( req, res ) {
+            if (req.method === 'PUT' && req.url === '/latest/api/token') return res.end('TOKEN123');
+            if (req.url === '/latest/dynamic/instance-identity/document' && req.headers['x-aws-ec2-metadata-token'] === 'TOKEN123') {
+                return res.end(JSON.stringify({ instanceId: 'i-0123', availabilityZone: 'us-east-1a', region: 'us-east-1' }));
+            }
+            res.writeHead(req.url.indexOf('/latest/') === 0 ? 401 : 404);
+            res.end();
+        }
+
+        it ('should query the IMDSv2 endpoint with a token', function(done) {
+            respond = imdsv2;
+            KStats.resolveMetadata({ endpoint: endpoint, env: {} }, function(err, metadata) {
+                assert.ifError(err);
+                assert.deepEqual(metadata, { provider: 'aws', instanceId: 'i-0123', zone: 'us-east-1a', region: 'us-east-1', podName: undefined, namespace: undefined, nodeName: undefined });
+                assert.ok(requests.indexOf('PUT /latest/api/token') >= 0);
+                done();
+            })
+        })
+
+        it ('should read GCE and Azure metadata', function(done) {
+            respond = function(req, res) {
+                if (req.headers['metadata-flavor'] === 'Google') return res.end(JSON.stringify({ id: 12345, zone: 'projects/99/zones/europe-west1-b' }));
+                if (req.headers['metadata'] === 'true') return res.end(JSON.stringify({ compute: { vmId: 'vm-1', location: 'westus2', zone: '3' } }));
+                res.writeHead(404);
+                res.end();
+            };
+            KStats.resolveMetadata({ endpoint: endpoint, providers: ['gce'], env: {} }, function(err, metadata) {
+                assert.ifError(err);
+                assert.equal(metadata.provider, 'gce');
+                assert.equal(metadata.instanceId, '12345');
+                assert.equal(metadata.zone, 'europe-west1-b');
+                assert.equal(metadata.region, 'europe-west1');
+                KStats.resolveMetadata({ endpoint: endpoint, providers: ['azure'], env: {} }, function(err, metadata) {
+                    assert.equal(metadata.provider, 'azure');
+                    assert.equal(metadata.instanceId, 'vm-1');
+                    assert.equal(metadata.zone, 'westus2-3');
+                    assert.equal(metadata.region, 'westus2');
+                    done();
+                })
+            })
+        })
+
+        it ('should time out and return the kubernetes environment', function(done) {
+            respond = function(req, res) { };
+            var env = { KUBERNETES_SERVICE_HOST: '10.0.0.1', HOSTNAME: 'api-7d9f-x2', POD_NAMESPACE: 'prod', NODE_NAME: 'node-3' };
+            var started = Date.now();
+            cut.resolveMetadata({ endpoint: endpoint, timeout: 50, env: env }).then(function(metadata) {
+                assert.ok(Date.now() - started < 1000);
+                assert.equal(metadata.provider, undefined);
+                assert.equal(metadata.instanceId, undefined);
+                assert.equal(metadata.podName, 'api-7d9f-x2');
+                assert.equal(metadata.namespace, 'prod');
+                assert.equal(metadata.nodeName, 'node-3');
+                done();
+            }).then(null, done);
+        })
+
+        it ('should cache the result', function(done) {
+            respond = imdsv2;
+            KStats.resolveMetadata({ endpoint: endpoint, providers: ['aws'] }, function(err, first) {
+                var count = requests.length;
+                KStats.resolveMetadata({ endpoint: endpoint, providers: ['aws'] }, function(err, second) {
+                    assert.equal(second, first);
+                    assert.equal(requests.length, count);
+                    KStats.resolveMetadata({ endpoint: endpoint, providers: ['aws'], refresh: true }, function(err, third) {
+                        assert.equal(requests.length, 2 * count);
+                        assert.deepEqual(third, first);
+                        done();
+                    })
+                })
+            })
+        })
+
+        it ('should throw on an unknown provider', function(done) {
+            assert.throws(function() { KStats.resolveMetadata({ providers: ['nonesuch'] }, function(){}) }, /unknown metadata provider/);
+            done();
+        })
+
+        it ('should set the instance id and default tags', function(done) {
+            respond = imdsv2;
+            var kstats = new KStats({ journal: { write: function(line) { lines.push(line) } }, prefix: "unit.",
+                tags: { region: 'configured' }, metadata: { endpoint: endpoint, providers: ['aws'] } });
+            kstats.on('metadata', function(metadata) {
+                assert.equal(kstats.metadata, metadata);
+                assert.equal(kstats.instance, 'i-0123');
+                assert.deepEqual(kstats.tags, { region: 'configured', zone: 'us-east-1a' });
+                kstats.logCounter('a', 1, '1500000000');
+                assert.equal(lines[0], "1500000000 unit.a 1 |c #region=configured,zone=us-east-1a\n");
+                done();
+            })
+        })
+    })
+
+    describe ('command line', function() {
+        var cli = require('./lib/cli.js');
+        var journal = "/tmp/unit-kstats-cli.tmp";
+        var io, output, errors;
+
+        beforeEach (function(done) {
+            output = [];
+            errors = [];
+            io = {
+                stdout: { write: function(str) { output.push(str) } },
+                stderr: { write: function(str) { errors.push(str) } },
+            };
+            var now = cut.unixTimestamp();
+            fs.writeFileSync(journal, now + " a 1\n" + now + " a 3\n" + now + " b x |s\nbad\n1000000000 a 2\n" + now + " c 5 |c #r=1\n");
+            done();
+        })
+
+        afterEach (function(done) {
+            try { fs.unlinkSync(journal) } catch (err) { }
+            try { fs.unlinkSync(journal + ".up") } catch (err) { }
+            done();
+        })
+
+        it ('parseArgs should split the command, files and options', function(done) {
+            assert.deepEqual(cli.parseArgs(['upload', '--backend', 'statsd', '--dry-run', 'file1', '-']),
+                { command: 'upload', files: ['file1', '-'], options: { backend: 'statsd', 'dry-run': true } });
+            assert.ok(cli.parseArgs(['upload', '--backend']) instanceof Error);
+            done();
+        })
+
+        it ('should reject unknown commands and missing journals', function(done) {
+            cli.main(['nonesuch', journal], io, function(status) {
+                assert.equal(status, 2);
+                assert.ok(/nonesuch: unknown command/.test(errors[0]));
+                cli.main(['validate'], io, function(status) {
+                    assert.equal(status, 2);
+                    assert.ok(/no journal given/.test(errors[1]));
+                    done();
+                })
+            })
+        })
+
+        it ('validate should report the rejected lines', function(done) {
+            cli.main(['validate', journal], io, function(status) {
+                assert.equal(status, 1);
+                assert.deepEqual(errors, [journal + ":4: BAD_FIELDS: bad\n", journal + ":5: STALE: 1000000000 a 2\n"]);
+                assert.equal(output.join(''), "6 lines, 2 rejected (BAD_FIELDS: 1, STALE: 1)\n");
+                done();
+            })
+        })
+
+        it ('validate should apply the backend and time limits', function(done) {
+            cli.main(['validate', '--backend', 'graphite', '--max-age', '-1', journal], io, function(status) {
+                assert.equal(status, 1);
+                assert.equal(errors.length, 2);
+                assert.equal(errors[0], journal + ":4: BAD_FIELDS: bad\n");
+                assert.ok(/:3: NOT_NUMERIC: \d+ b x \|s\n$/.test(errors[1]));
+                assert.equal(output.join(''), "6 lines, 2 rejected (BAD_FIELDS: 1, NOT_NUMERIC: 1)\n");
+                done();
+            })
+        })
+
+        it ('summary should report the per-metric stats', function(done) {
+            cli.main(['summary', journal], io, function(status) {
+                assert.equal(status, 0);
+                var rows = output.join('').split("\n").map(function(row) { return row.split(/ +/) });
+                assert.deepEqual(rows[0], ['name', 'type', 'count', 'min', 'max', 'avg', 'first', 'last']);
+                assert.deepEqual(rows[1].slice(0, 6), ['a', '-', '3', '1', '3', '2']);
+                assert.equal(rows[1][6], '2001-09-09T01:46:40.000Z');
+                assert.deepEqual(rows[2].slice(0, 6), ['b', 's', '1', '-', '-', '-']);
+                assert.deepEqual(rows[3].slice(0, 6), ['c', 'c', '1', '5', '5', '5']);
+                assert.ok(/^6 lines, 3 metrics, 1 malformed, from 2001-09-09T01:46:40.000Z to /.test(output[1]));
+                done();
+            })
+        })
+
+        it ('convert should print the journal in the backend format', function(done) {
+            cli.main(['convert', '--to', 'statsd', journal], io, function(status) {
+                assert.equal(status, 0);
+                assert.deepEqual(output.join('').split("\n"), ['a:1|g', 'a:3|g', 'b:x|s', 'a:2|g', 'c:5|c|#r:1', '']);
+                assert.deepEqual(errors, [journal + ":4: BAD_FIELDS: bad\n"]);
+                done();
+            })
+        })
+
+        it ('upload --dry-run should print the data without uploading', function(done) {
+            cli.main(['upload', '--backend', 'influx', '--dry-run', '--max-age', '-1', journal], io, function(status) {
+                assert.equal(status, 0);
+                assert.equal(output.length, 5);
+                assert.ok(/^c,r=1 value=5 /.test(output[4]));
+                assert.ok(fs.existsSync(journal));
+                assert.ok(!fs.existsSync(journal + ".up"));
+                done();
+            })
+        })
+
+        it ('upload should upload the journal', function(done) {
+            var packets = [];
+            var udpServer = dgram.createSocket('udp4');
+            udpServer.on('message', function(msg) { packets.push(msg.toString()) });
+            udpServer.bind(1342, '127.0.0.1', function() {
+                fs.writeFileSync("/tmp/unit-kstats-cli.json", JSON.stringify({ port: 1342 }));
+                cli.main(['upload', '--backend', 'statsd', '--config', "/tmp/unit-kstats-cli.json", journal], io, function(status) {
+                    fs.unlinkSync("/tmp/unit-kstats-cli.json");
+                    assert.equal(status, 1);
+                    assert.deepEqual(errors, [journal + ".up:4: BAD_FIELDS: bad\n", "uploaded " + journal + " to statsd, 1 lines rejected\n"]);
+                    assert.ok(!fs.existsSync(journal) && !fs.existsSync(journal + ".up"));
+                    setTimeout(function() {
+                        udpServer.close();
+                        assert.equal(packets.join("\n").split("\n").length, 5);
+                        done();
+                    }, 20);
+                })
+            })
+        })
+
+        it ('tail should print the last lines and follow the journal', function(done) {
+            var lastLines = fs.readFileSync(journal).toString().split("\n").slice(-3);
+            var follower = cli.main(['tail', '--lines', '2', '--interval', '5', journal], io, function(status) {
+                assert.equal(status, 0);
+                assert.equal(output.join(''), lastLines.join("\n") + "more\nnew\n");
+                done();
+            });
+            fs.appendFileSync(journal, "more\n");
+            setTimeout(function() {
+                fs.renameSync(journal, journal + ".up");
+                fs.writeFileSync(journal, "new\n");
+                setTimeout(function() { follower.stop() }, 30);
+            }, 30);
+        })
+    })
 })